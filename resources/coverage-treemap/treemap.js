@@ -1,7 +1,9 @@
 /**
- * Squarified Treemap Algorithm
- * Based on the algorithm by Bruls, Huizing, and van Wijk (2000)
- * "Squarified Treemaps"
+ * Treemap Layout Algorithms
+ * The default is the squarified algorithm by Bruls, Huizing, and van Wijk (2000)
+ * "Squarified Treemaps". Slice-and-dice, strip and pivot-by-middle layouts are
+ * available through TREEMAP_LAYOUTS. layoutSunburst and layoutCirclePacking lay out
+ * the same hierarchies as rings and nested circles.
  */
 
 /**
@@ -11,24 +13,19 @@
  * 
  * This calculates the worst aspect ratio that would result from laying out
  * the row along side w. Lower values mean more square-like rectangles.
+ * The row is described by its running totals so each call is O(1).
  *
- * @param {Array<number>} row - List of areas (weights) in the row
+ * @param {number} s - Sum of the areas (weights) in the row
+ * @param {number} rMinus - Smallest area in the row
+ * @param {number} rPlus - Largest area in the row
  * @param {number} w - Length of the side along which rectangles are laid out
  * @returns {number} Worst aspect ratio (lower is better, 1.0 is perfect square)
  */
-function worst(row, w) {
-    if (row.length === 0) {
+function worst(s, rMinus, rPlus, w) {
+    if (s === 0 || w <= 0 || rMinus <= 0) {
         return Infinity;
     }
 
-    const s = row.reduce((sum, r) => sum + r, 0);
-    if (s === 0 || w <= 0) {
-        return Infinity;
-    }
-
-    const rPlus = Math.max(...row);
-    const rMinus = Math.min(...row);
-
     // Calculate worst aspect ratio using the formula from the paper
     // For horizontal layout: height = s/w, width varies by area
     // Aspect ratio = max(width/height, height/width) for each rectangle
@@ -42,11 +39,15 @@ function worst(row, w) {
  * Rectangle layout state during computation.
  */
 class Rectangle {
-    constructor(x, y, width, height) {
+    /**
+     * @param {boolean} faithful - If true, tile areas stay exactly proportional to weight
+     */
+    constructor(x, y, width, height, faithful = false) {
         this.x = x;
         this.y = y;
         this.w = width;
         this.h = height;
+        this.faithful = faithful;
         this.results = [];
     }
 
@@ -115,10 +116,13 @@ class Rectangle {
             // Calculate widths for all nodes first
             const nodeWidths = row.map(node => (node.weight / s) * w);
             
-            // For 2 nodes, give them equal shares (50% each) to ensure both are visible
+            // In faithful mode keep the proportional sizes untouched.
+            // Otherwise, for 2 nodes, give them equal shares (50% each) to ensure both are visible
             // For more nodes, use proportional with minimums
             let finalWidths;
-            if (numNodes === 2) {
+            if (this.faithful) {
+                finalWidths = nodeWidths;
+            } else if (numNodes === 2) {
                 // Equal shares for 2 nodes
                 finalWidths = [totalRowWidth / 2, totalRowWidth / 2];
             } else {
@@ -139,13 +143,17 @@ class Rectangle {
                 const node = row[i];
                 const finalWidth = finalWidths[i];
                 if (isFinite(finalWidth) && finalWidth > 0) {
-                    this.results.push({
+                    const result = {
                         ...node,
                         x: currentX,
                         y: this.y,
                         w: finalWidth,
                         h: rowThickness,
-                    });
+                    };
+                    if (Math.abs(finalWidth - nodeWidths[i]) > nodeWidths[i] * 0.01) {
+                        result.areaAdjusted = true; // Size changed for readability
+                    }
+                    this.results.push(result);
                     currentX += finalWidth;
                 }
             }
@@ -168,10 +176,13 @@ class Rectangle {
             // Calculate heights for all nodes first
             const nodeHeights = row.map(node => (node.weight / s) * w);
             
-            // For 2 nodes, give them equal shares (50% each) to ensure both are visible
+            // In faithful mode keep the proportional sizes untouched.
+            // Otherwise, for 2 nodes, give them equal shares (50% each) to ensure both are visible
             // For more nodes, use proportional with minimums
             let finalHeights;
-            if (numNodes === 2) {
+            if (this.faithful) {
+                finalHeights = nodeHeights;
+            } else if (numNodes === 2) {
                 // Equal shares for 2 nodes
                 finalHeights = [totalRowHeight / 2, totalRowHeight / 2];
             } else {
@@ -192,13 +203,17 @@ class Rectangle {
                 const node = row[i];
                 const finalHeight = finalHeights[i];
                 if (isFinite(finalHeight) && finalHeight > 0) {
-                    this.results.push({
+                    const result = {
                         ...node,
                         x: this.x,
                         y: currentY,
                         w: rowThickness,
                         h: finalHeight,
-                    });
+                    };
+                    if (Math.abs(finalHeight - nodeHeights[i]) > nodeHeights[i] * 0.01) {
+                        result.areaAdjusted = true; // Size changed for readability
+                    }
+                    this.results.push(result);
                     currentY += finalHeight;
                 }
             }
@@ -211,62 +226,162 @@ class Rectangle {
 }
 
 /**
- * Recursive squarified treemap algorithm.
- * procedure squarify(list of real children, list of real row, real w)
+ * Squarified treemap algorithm, written iteratively.
+ * The row being built is tracked as a start index plus running sum, minimum and maximum,
+ * so deciding whether a child joins the row is O(1) and the whole pass is linear in the
+ * number of children, with no recursion.
  *
- * @param {Array} children - Remaining children to layout (sorted by weight, descending)
- * @param {Array} row - Current row being built (list of node objects)
- * @param {Rectangle} rect - Current rectangle state
+ * @param {Array} children - Children to layout (sorted by weight, descending, unless in stable order)
+ * @param {Rectangle} rect - Rectangle state, updated as rows are laid out
+ * @param {number|null} maxAspectRatio - Aspect ratio limit; a row is kept open while its longest
+ *   tile exceeds it, and tiles too thin for their row are grouped
  */
-function squarify(children, row, rect) {
-    // Guard against invalid rectangle
-    if (rect.isTooSmall() || rect.w <= 0 || rect.h <= 0) {
-        return; // Can't layout in invalid rectangle
-    }
-    
-    if (children.length === 0) {
-        // Layout remaining row if any
-        if (row.length > 0) {
-            const w = rect.shortestSide();
-            rect.layoutRow(row, w);
+function squarify(children, rect, maxAspectRatio = null) {
+    let rowStart = 0;
+    let rowSum = 0;
+    let rowMin = Infinity;
+    let rowMax = 0;
+    let i = 0;
+
+    while (i < children.length) {
+        // Guard against invalid rectangle
+        if (rect.isTooSmall() || rect.w <= 0 || rect.h <= 0) {
+            return; // Can't layout in invalid rectangle
         }
-        return;
+
+        // CRITICAL: Use the shortest side - this is the side we'll layout along
+        // This MUST match the orientation used in layoutRow()
+        const w = rect.shortestSide();
+        const c = children[i].weight;
+
+        if (i === rowStart) {
+            // First element always starts the row
+            rowSum = c;
+            rowMin = c;
+            rowMax = c;
+            i++;
+            continue;
+        }
+
+        // Calculate worst aspect ratios using the formula from the paper
+        // Lower values mean better (more square-like) rectangles
+        const worstCurrent = worst(rowSum, rowMin, rowMax, w);
+        const worstWithC = worst(rowSum + c, Math.min(rowMin, c), Math.max(rowMax, c), w);
+
+        if (worstCurrent >= worstWithC || isRowTooThin(rowSum, rowMax, w, maxAspectRatio)) {
+            // Add to current row: aspect ratio improves or stays same
+            rowSum += c;
+            rowMin = Math.min(rowMin, c);
+            rowMax = Math.max(rowMax, c);
+            i++;
+        } else {
+            // Layout current row and start a new row with c in the remaining space
+            // CRITICAL: Pass the same `w` that was used in worst() calculation
+            rect.layoutRow(groupThinTiles(children.slice(rowStart, i), w, maxAspectRatio), w);
+            rowStart = i;
+        }
+    }
+
+    // Layout remaining row if any
+    if (rowStart < children.length && !rect.isTooSmall() && rect.w > 0 && rect.h > 0) {
+        const w = rect.shortestSide();
+        rect.layoutRow(groupThinTiles(children.slice(rowStart), w, maxAspectRatio), w);
+    }
+}
+
+/**
+ * Whether a row is too thin for its longest tile to meet the aspect ratio limit.
+ *
+ * The longest tile of a row laid along w is rPlus / t long with thickness t = s / w,
+ * so its aspect ratio is w²·rPlus / s². Layouts keep adding nodes to such a row rather
+ * than closing it: that makes the row thicker, and the thin tiles it then gets are
+ * merged by groupThinTiles.
+ *
+ * @param {number} s - Sum of the areas in the row
+ * @param {number} rPlus - Largest area in the row
+ * @param {number} w - Length of the side the row is laid along
+ * @param {number|null} maxAspectRatio - Aspect ratio limit (null = no limit)
+ * @returns {boolean} True if the row's longest tile exceeds the limit
+ */
+function isRowTooThin(s, rPlus, w, maxAspectRatio) {
+    return maxAspectRatio !== null && (w * w * rPlus) / (s * s) > maxAspectRatio;
+}
+
+/**
+ * Merge the tiles of a row that would be thinner than the aspect ratio limit allows.
+ *
+ * A tile of area a in a row of thickness t is a / t long, so its aspect ratio exceeds
+ * the limit when a < t² / maxAspectRatio. The row's thin tiles are merged in order into
+ * group tiles just large enough to meet the limit (a remainder joins the last group),
+ * each at the position of its first member. The row's total area, and therefore its
+ * thickness, is unchanged. A single thin tile is left as it is.
+ *
+ * @param {Array} row - Nodes in the row (weights are areas)
+ * @param {number} w - Length of the side the row is laid along
+ * @param {number|null} maxAspectRatio - Aspect ratio limit (null = no grouping)
+ * @returns {Array} The row, with thin tiles replaced by group tiles if needed
+ */
+function groupThinTiles(row, w, maxAspectRatio) {
+    if (maxAspectRatio === null || row.length < 2) {
+        return row;
     }
 
-    const c = children[0];
-    const tail = children.slice(1);
+    const s = row.reduce((sum, node) => sum + node.weight, 0);
+    const thickness = s / w;
+    const minArea = (thickness * thickness) / maxAspectRatio;
 
-    // Extract weights for worst() function comparison
-    const rowWeights = row.map(n => n.weight);
-    const rowWithCWeights = [...rowWeights, c.weight];
+    const members = row.filter(node => node.weight < minArea);
+    if (members.length < 2) {
+        return row;
+    }
 
-    // CRITICAL: Use the shortest side - this is the side we'll layout along
-    // This MUST match the orientation used in layoutRow()
-    const w = rect.shortestSide();
-    
-    if (w <= 0) {
-        return; // Can't layout anymore
+    const groups = [];
+    let current = [];
+    let currentSum = 0;
+    for (const node of members) {
+        current.push(node);
+        currentSum += node.weight;
+        if (currentSum >= minArea) {
+            groups.push(current);
+            current = [];
+            currentSum = 0;
+        }
     }
-    
-    // Calculate worst aspect ratios using the formula from the paper
-    // Lower values mean better (more square-like) rectangles
-    const worstCurrent = row.length === 0 ? Infinity : worst(rowWeights, w);
-    const worstWithC = worst(rowWithCWeights, w);
-
-    // If adding c improves (or doesn't worsen) the aspect ratio, add it to the row
-    // We want to minimize aspect ratio, so lower is better
-    if (worstCurrent >= worstWithC || row.length === 0) {
-        // Add to current row: aspect ratio improves or stays same (or is first element)
-        squarify(tail, [...row, c], rect);
-    } else {
-        // Layout current row and start new row
-        // The aspect ratio would get worse if we add c, so finalize current row
-        // CRITICAL: Pass the same `w` that was used in worst() calculation
-        rect.layoutRow(row, w);
-        // Continue with remaining children in the new remaining space
-        // Note: rect has been updated by layoutRow, so we use the new dimensions
-        squarify(children, [], rect);
+    if (current.length > 0) {
+        if (groups.length > 0) {
+            groups[groups.length - 1].push(...current);
+        } else {
+            groups.push(current);
+        }
+    }
+
+    const groupAt = new Map(groups.map(group => [group[0], createGroupNode(group)]));
+    const grouped = [];
+    for (const node of row) {
+        if (node.weight >= minArea) {
+            grouped.push(node);
+        } else if (groupAt.has(node)) {
+            grouped.push(groupAt.get(node));
+        }
     }
+    return grouped;
+}
+
+/**
+ * Create a tile that stands in for several nodes too small to show on their own.
+ *
+ * @param {Array} members - Nodes merged into the group
+ * @returns {Object} Group node; its weight is the members' total
+ */
+function createGroupNode(members) {
+    return {
+        id: `group:${layoutKey(members[0])}`,
+        name: `${members.length} small items`,
+        type: 'group',
+        depth: members[0].depth,
+        weight: members.reduce((sum, node) => sum + node.weight, 0),
+        groupedNodes: members,
+    };
 }
 
 /**
@@ -307,110 +422,192 @@ function calculateAspectRatio(w, h) {
 }
 
 /**
- * Generate treemap layout for nodes using the squarified algorithm.
+ * Get the key used to match a layout rectangle back to its input node.
  *
- * @param {Array} nodes - Array of nodes with weight property
+ * @param {Object} node - Node or layout rectangle
+ * @returns {*} The node's id, falling back to fullName and name
+ */
+function layoutKey(node) {
+    return node.id ?? node.fullName ?? node.name;
+}
+
+/**
+ * Measure how far a layout strays from tiles whose area is proportional to weight.
+ *
+ * Each node's expected area is its share of the total weight times the container area.
+ * Nodes that were dropped from the layout count as entirely misallocated; nodes inside a
+ * group tile are credited with their share of it. A node whose `weight` was raised so it
+ * stays visible can carry its `exactWeight`, which the expected area is based on instead;
+ * with an exact weight of 0 its whole tile counts as misallocated (and its areaError is Infinity).
+ *
+ * @param {Array} nodes - Nodes passed to generateTreemap (with their original weights)
+ * @param {Array} layout - Layout rectangles returned by generateTreemap
  * @param {number} width - Container width
  * @param {number} height - Container height
- * @param {number|null} maxAspectRatio - Maximum allowed aspect ratio (null = no limit)
- * @returns {Array} Layout rectangles with x, y, w, h properties
+ * @returns {Object} Per-node figures in `nodes` ({ id, expectedArea, actualArea, areaError, aspectRatio }),
+ *   plus `areaError` (fraction of the container area that is misallocated, 0 = exact),
+ *   `maxAreaError` (worst relative per-node error), `meanAspectRatio`, `worstAspectRatio`
+ *   `groupedCount` (nodes shown inside a group tile rather than on their own),
+ *   `placedCount` (nodes that got a tile, on their own or in a group) and
+ *   `exceededCount` (tiles flagged with `aspectRatioExceeded`)
  */
-function generateTreemap(nodes, width, height, maxAspectRatio = null) {
-    if (nodes.length === 0 || width <= 0 || height <= 0 || !isFinite(width) || !isFinite(height)) {
-        return [];
-    }
-
-    // If no aspect ratio limit, run once and return
-    if (maxAspectRatio === null) {
-        return generateTreemapOnce(nodes, width, height);
-    }
+function measureLayoutDistortion(nodes, layout, width, height) {
+    const totalArea = width * height;
+    const exactWeight = node => node.exactWeight ?? node.weight;
+    const totalWeight = nodes.reduce((sum, node) => sum + (exactWeight(node) > 0 ? exactWeight(node) : 0), 0);
 
-    // Store original weights for adjustment
-    const originalNodes = nodes.map(node => ({ ...node, originalWeight: node.weight }));
-    let adjustedNodes = originalNodes.map(node => ({ ...node, weight: node.weight }));
-    
-    const maxIterations = 100; // Prevent infinite loops
-    let iterations = 0;
-    
-    while (iterations < maxIterations) {
-        const layout = generateTreemapOnce(adjustedNodes, width, height);
-        
-        if (layout.length === 0) {
-            break; // Can't generate layout
+    // Grouped nodes are represented by their share of the group tile
+    const rectsByKey = new Map();
+    let groupedCount = 0;
+    let exceededCount = 0;
+    for (const rect of layout) {
+        if (rect.aspectRatioExceeded) {
+            exceededCount++;
         }
-        
-        // Find the smallest item (or second item if sorted.length === 2, the smaller item)
-        let targetItem = null;
-        let targetIndex = -1;
-        
-        if (layout.length === 2) {
-            // For 2 items, check the smaller one (second item)
-            const sortedLayout = [...layout].sort((a, b) => (a.w * a.h) - (b.w * b.h));
-            targetItem = sortedLayout[0]; // The smaller one
-            // Find the index in adjustedNodes - try multiple matching strategies
-            targetIndex = adjustedNodes.findIndex(n => 
-                (n.id && targetItem.id && n.id === targetItem.id) ||
-                (n.fullName && targetItem.fullName && n.fullName === targetItem.fullName) ||
-                (n.name && targetItem.name && n.name === targetItem.name)
-            );
-        } else if (layout.length > 0) {
-            // For more than 2 items, find the smallest
-            const sortedLayout = [...layout].sort((a, b) => (a.w * a.h) - (b.w * b.h));
-            targetItem = sortedLayout[0]; // The smallest
-            // Find the index in adjustedNodes - try multiple matching strategies
-            targetIndex = adjustedNodes.findIndex(n => 
-                (n.id && targetItem.id && n.id === targetItem.id) ||
-                (n.fullName && targetItem.fullName && n.fullName === targetItem.fullName) ||
-                (n.name && targetItem.name && n.name === targetItem.name)
-            );
+        if (rect.groupedNodes) {
+            for (const member of rect.groupedNodes) {
+                rectsByKey.set(layoutKey(member), { rect, share: member.weight / rect.weight });
+            }
+            groupedCount += rect.groupedNodes.length;
+        } else {
+            rectsByKey.set(layoutKey(rect), { rect, share: 1 });
         }
-        
-        if (!targetItem || targetIndex === -1) {
-            break; // Can't find target item
+    }
+
+    const perNode = [];
+    let misallocated = 0;
+    let maxAreaError = 0;
+    let aspectSum = 0;
+    let placedCount = 0;
+    let worstAspectRatio = 0;
+
+    for (const node of nodes) {
+        if (!(node.weight > 0)) {
+            continue;
         }
-        
-        // Calculate aspect ratio of the target item
-        const aspectRatio = calculateAspectRatio(targetItem.w, targetItem.h);
-        
-        // If aspect ratio is within limit, we're done
-        if (aspectRatio <= maxAspectRatio) {
-            return layout;
+
+        const weight = exactWeight(node);
+        const expectedArea = weight > 0 && totalWeight > 0 ? (weight / totalWeight) * totalArea : 0;
+        const placed = rectsByKey.get(layoutKey(node));
+        const rect = placed ? placed.rect : null;
+        const actualArea = rect ? rect.w * rect.h * placed.share : 0;
+        const areaError = expectedArea > 0
+            ? Math.abs(actualArea - expectedArea) / expectedArea
+            : (actualArea > 0 ? Infinity : 0);
+        const aspectRatio = rect ? calculateAspectRatio(rect.w, rect.h) : Infinity;
+
+        misallocated += Math.abs(actualArea - expectedArea);
+        maxAreaError = Math.max(maxAreaError, areaError);
+        if (rect) {
+            aspectSum += aspectRatio;
+            placedCount++;
+            worstAspectRatio = Math.max(worstAspectRatio, aspectRatio);
         }
-        
-        // Adjust the weight of the target item
-        // Increase weight to make it larger (which should improve aspect ratio)
-        // Calculate how much we need to increase based on how far over the limit we are
-        const currentWeight = adjustedNodes[targetIndex].weight;
-        const originalWeight = adjustedNodes[targetIndex].originalWeight;
-        
-        // Calculate how much over the limit we are (as a ratio)
-        const excessRatio = aspectRatio / maxAspectRatio;
-        
-        // Increase weight proportionally to how far over the limit we are
-        // More aggressive adjustment when further over the limit
-        const adjustmentFactor = Math.min(excessRatio * 0.2, 2.0); // Cap at 2x per iteration
-        const weightIncrease = originalWeight * adjustmentFactor;
-        const newWeight = Math.min(currentWeight + weightIncrease, originalWeight * 20); // Cap at 20x original
-        
-        adjustedNodes[targetIndex].weight = newWeight;
-        
-        iterations++;
+
+        perNode.push({
+            id: layoutKey(node),
+            expectedArea,
+            actualArea,
+            areaError,
+            aspectRatio,
+        });
     }
-    
-    // If we've exhausted iterations, return the last layout
-    return generateTreemapOnce(adjustedNodes, width, height);
+
+    return {
+        nodes: perNode,
+        // Every misplaced unit of area is counted twice (once missing, once surplus)
+        areaError: totalArea > 0 ? misallocated / (2 * totalArea) : 0,
+        maxAreaError,
+        meanAspectRatio: placedCount > 0 ? aspectSum / placedCount : 0,
+        worstAspectRatio,
+        groupedCount,
+        placedCount,
+        exceededCount,
+    };
 }
 
 /**
- * Generate treemap layout once without aspect ratio adjustment.
- * This is the core treemap generation logic.
+ * Create an empty distortion total for addLayoutDistortion.
+ *
+ * @returns {Object} Running totals over several layouts
+ */
+function createDistortionTotals() {
+    return {
+        misallocatedArea: 0,
+        totalArea: 0,
+        aspectSum: 0,
+        tileCount: 0,
+        worstAspectRatio: 0,
+        groupedCount: 0,
+        exceededCount: 0,
+    };
+}
+
+/**
+ * Fold the distortion of one layout into running totals, so nested layouts
+ * can be reported as a single figure weighted by container area.
+ *
+ * @param {Object} totals - Totals from createDistortionTotals (updated in place)
+ * @param {Object} distortion - Result of measureLayoutDistortion
+ * @param {number} containerArea - Area of the container that layout filled
+ */
+function addLayoutDistortion(totals, distortion, containerArea) {
+    totals.misallocatedArea += distortion.areaError * containerArea;
+    totals.totalArea += containerArea;
+    totals.aspectSum += distortion.meanAspectRatio * distortion.placedCount;
+    totals.tileCount += distortion.placedCount;
+    totals.worstAspectRatio = Math.max(totals.worstAspectRatio, distortion.worstAspectRatio);
+    totals.groupedCount += distortion.groupedCount;
+    totals.exceededCount += distortion.exceededCount;
+}
+
+/**
+ * Compare two nodes by their full name for the stable layout order.
+ * Uses plain code unit comparison rather than localeCompare so the order is the
+ * same on every machine that opens the report.
+ *
+ * @param {Object} a - First node
+ * @param {Object} b - Second node
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareStableOrder(a, b) {
+    const keyA = String(a.fullName ?? layoutKey(a));
+    const keyB = String(b.fullName ?? layoutKey(b));
+    if (keyA < keyB) {
+        return -1;
+    }
+    return keyA > keyB ? 1 : 0;
+}
+
+/**
+ * Generate treemap layout for nodes, using the squarified algorithm unless another
+ * algorithm from TREEMAP_LAYOUTS is selected.
+ *
+ * Layout modes:
+ * - 'readable' (default): small tiles get a minimum share of their row and pairs are split
+ *   evenly; such tiles are flagged with `areaAdjusted`
+ * - 'faithful': tile area is exactly proportional to weight
+ * The mode only changes the squarified algorithm; the others are always area-proportional.
+ *
+ * The aspect ratio limit is applied in the same single pass and never changes areas.
+ * Only the algorithms in ASPECT_RATIO_LAYOUTS honour it: rows too thin for their longest
+ * tile are kept open so they get thicker, and tiles too thin for their row are merged into
+ * group tiles (`type: 'group'`, members in `groupedNodes`). Any tile that still exceeds
+ * the limit is flagged with `aspectRatioExceeded` and counted by measureLayoutDistortion.
+ * The other algorithms ignore the limit.
  *
  * @param {Array} nodes - Array of nodes with weight property
  * @param {number} width - Container width
  * @param {number} height - Container height
+ * @param {number|null} maxAspectRatio - Maximum allowed aspect ratio (null = no limit)
+ * @param {Object} options - Layout options
+ * @param {string} options.mode - 'readable' or 'faithful'
+ * @param {string} options.algorithm - Key of TREEMAP_LAYOUTS (default 'squarified')
+ * @param {string} options.order - 'weight' (default) or 'name'. With 'name', nodes are laid out
+ *   in name order by every algorithm (squarified included), so consecutive reports keep tiles in place
  * @returns {Array} Layout rectangles with x, y, w, h properties
  */
-function generateTreemapOnce(nodes, width, height) {
+function generateTreemap(nodes, width, height, maxAspectRatio = null, options = {}) {
     if (nodes.length === 0 || width <= 0 || height <= 0 || !isFinite(width) || !isFinite(height)) {
         return [];
     }
@@ -429,12 +626,105 @@ function generateTreemapOnce(nodes, width, height) {
         return [];
     }
 
+    // Stable order: lay out by name so tiles keep their place when weights change a little
+    if (options.order === 'name') {
+        validNodes.sort(compareStableOrder);
+    }
+
+    const algorithm = TREEMAP_LAYOUTS[options.algorithm] ? options.algorithm : 'squarified';
+    if (!ASPECT_RATIO_LAYOUTS.includes(algorithm)) {
+        maxAspectRatio = null;
+    }
+    const results = TREEMAP_LAYOUTS[algorithm](validNodes, width, height, { ...options, maxAspectRatio });
+
+    // Filter out any invalid results and ensure minimum dimensions
+    // Use a very small threshold to ensure all nodes are rendered, even if very thin
+    const minDimension = 0.1; // Minimum width or height in pixels (lowered to prevent filtering out thin rectangles)
+    const layout = results.filter(r => 
+        isFinite(r.x) && isFinite(r.y) && 
+        isFinite(r.w) && isFinite(r.h) && 
+        r.w >= minDimension && r.h >= minDimension
+    );
+
+    // Flag tiles the aspect ratio limit could not be met for
+    if (maxAspectRatio !== null) {
+        for (const r of layout) {
+            if (calculateAspectRatio(r.w, r.h) > maxAspectRatio) {
+                r.aspectRatioExceeded = true;
+            }
+        }
+    }
+
+    return layout;
+}
+
+/**
+ * Generate a nested treemap. Nodes with children become parent tiles with a header strip
+ * and inner padding, and their children are laid out in the remaining space, recursively.
+ *
+ * @param {Array} nodes - Array of nodes with weight property and optional children
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @param {number|null} maxAspectRatio - Maximum allowed aspect ratio (null = no limit)
+ * @param {Object} options - Layout options (see generateTreemap), plus:
+ * @param {number} options.padding - Padding around a parent's children (default 3)
+ * @param {number} options.headerHeight - Height of a parent's header strip (default 18)
+ * @returns {Object} `tiles`: flat list of layout rectangles with absolute x, y, w, h and a
+ *   nesting `level`, parents before their children; parents whose children were laid out
+ *   also get a `header` rect. `distortion`: totals over every layout (see addLayoutDistortion)
+ */
+function generateNestedTreemap(nodes, width, height, maxAspectRatio = null, options = {}) {
+    const padding = options.padding ?? 3;
+    const headerHeight = options.headerHeight ?? 18;
+    const tiles = [];
+    const distortion = createDistortionTotals();
+
+    function layoutLevel(levelNodes, x, y, w, h, level) {
+        const layout = generateTreemap(levelNodes, w, h, maxAspectRatio, options);
+        addLayoutDistortion(distortion, measureLayoutDistortion(levelNodes, layout, w, h), w * h);
+
+        for (const tile of layout) {
+            tile.x += x;
+            tile.y += y;
+            tile.level = level;
+            tiles.push(tile);
+
+            // Only nest when there's enough room left for the children
+            const innerWidth = tile.w - padding * 2;
+            const innerHeight = tile.h - headerHeight - padding;
+            if (tile.children && tile.children.length > 0 && innerWidth > 10 && innerHeight > 10) {
+                tile.header = { x: tile.x, y: tile.y, w: tile.w, h: headerHeight };
+                layoutLevel(tile.children, tile.x + padding, tile.y + headerHeight, innerWidth, innerHeight, level + 1);
+            }
+        }
+    }
+
+    if (width > 0 && height > 0 && isFinite(width) && isFinite(height)) {
+        layoutLevel(nodes, 0, 0, width, height, 0);
+    }
+
+    return { tiles, distortion };
+}
+
+/**
+ * Squarified layout (Bruls, Huizing, and van Wijk).
+ * Nodes are sorted by weight so rows stay as square as possible, except in stable
+ * order where the given order is kept (an "ordered squarified" layout).
+ *
+ * @param {Array} nodes - Nodes with weights normalized to the container area
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @param {Object} options - Layout options (see generateTreemap)
+ * @returns {Array} Layout rectangles with x, y, w, h properties
+ */
+function layoutSquarified(nodes, width, height, options = {}) {
     // Sort by weight (descending) as required by the squarified algorithm
     // This is critical - the algorithm assumes sorted input
-    const sorted = [...validNodes].sort((a, b) => b.weight - a.weight);
+    // In stable order the nodes arrive sorted by name and keep that order instead
+    const sorted = options.order === 'name' ? nodes : [...nodes].sort((a, b) => b.weight - a.weight);
 
     // Create rectangle state
-    const rect = new Rectangle(0, 0, width, height);
+    const rect = new Rectangle(0, 0, width, height, options.mode === 'faithful');
 
     // Special case: if we have exactly 2 nodes, force them into the same row
     // This ensures both are visible regardless of aspect ratio calculations
@@ -462,17 +752,707 @@ function generateTreemapOnce(nodes, width, height) {
             h: height2,
         });
     } else {
-        // Run recursive squarified algorithm for 3+ nodes
-        squarify(sorted, [], rect);
+        // Run squarified algorithm for 3+ nodes
+        squarify(sorted, rect, options.maxAspectRatio ?? null);
     }
 
-    // Filter out any invalid results and ensure minimum dimensions
-    // Use a very small threshold to ensure all nodes are rendered, even if very thin
-    const minDimension = 0.1; // Minimum width or height in pixels (lowered to prevent filtering out thin rectangles)
-    return rect.results.filter(r => 
-        isFinite(r.x) && isFinite(r.y) && 
-        isFinite(r.w) && isFinite(r.h) && 
-        r.w >= minDimension && r.h >= minDimension
-    );
+    return rect.results;
 }
 
+/**
+ * Slice-and-dice layout (Shneiderman).
+ * Nodes are laid out in input order as parallel slices. The slicing direction
+ * alternates with nesting depth: even depths are sliced left to right, odd depths top to bottom.
+ *
+ * @param {Array} nodes - Nodes with weights normalized to the container area
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @returns {Array} Layout rectangles with x, y, w, h properties
+ */
+function layoutSliceAndDice(nodes, width, height) {
+    const depth = nodes[0].depth || 0;
+    const vertical = depth % 2 === 0;
+    const totalWeight = nodes.reduce((sum, node) => sum + node.weight, 0);
+    const results = [];
+    let offset = 0;
+
+    for (const node of nodes) {
+        const share = node.weight / totalWeight;
+        if (vertical) {
+            const w = share * width;
+            results.push({ ...node, x: offset, y: 0, w, h: height });
+            offset += w;
+        } else {
+            const h = share * height;
+            results.push({ ...node, x: 0, y: offset, w: width, h });
+            offset += h;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Running aspect ratio totals for a strip of nodes laid side by side, so that
+ * trying one more node costs O(log n) rather than a pass over the whole strip.
+ *
+ * A tile of area a in a strip of thickness t has aspect ratio a / t² when it is wider
+ * than thick and t² / a otherwise. Tiles wider than thick are kept in a min-heap by area;
+ * as the strip grows t only increases, so each tile crosses over to the other side once.
+ */
+class StripTotals {
+    /**
+     * @param {number} length - Length of the strip
+     */
+    constructor(length) {
+        this.length = length;
+        this.wide = [];        // Min-heap of areas of tiles wider than thick
+        this.wideSum = 0;      // Sum of their areas
+        this.narrowInvSum = 0; // Sum of 1 / area over the other tiles
+        this.count = 0;
+        this.sum = 0;
+        this.max = 0;
+    }
+
+    /**
+     * Mean aspect ratio of the strip's rectangles.
+     *
+     * @returns {number} Mean aspect ratio (>= 1)
+     */
+    meanAspectRatio() {
+        const thicknessSq = (this.sum / this.length) ** 2;
+        return (this.wideSum / thicknessSq + thicknessSq * this.narrowInvSum) / this.count;
+    }
+
+    /**
+     * Append a node's area to the strip.
+     *
+     * @param {number} area - Node weight
+     */
+    add(area) {
+        this.count++;
+        this.sum += area;
+        this.max = Math.max(this.max, area);
+        const thicknessSq = (this.sum / this.length) ** 2;
+
+        // The strip got thicker: tiles that are no longer wider than thick change sides
+        while (this.wide.length > 0 && this.wide[0] < thicknessSq) {
+            const moved = this.popWide();
+            this.wideSum -= moved;
+            this.narrowInvSum += 1 / moved;
+        }
+
+        if (area < thicknessSq) {
+            this.narrowInvSum += 1 / area;
+        } else {
+            this.wideSum += area;
+            this.pushWide(area);
+        }
+    }
+
+    /**
+     * Add an area to the min-heap of wide tiles.
+     */
+    pushWide(area) {
+        const heap = this.wide;
+        let i = heap.length;
+        heap.push(area);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent] <= area) {
+                break;
+            }
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = area;
+    }
+
+    /**
+     * Remove and return the smallest area in the min-heap of wide tiles.
+     */
+    popWide() {
+        const heap = this.wide;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            let i = 0;
+            for (;;) {
+                let child = 2 * i + 1;
+                if (child >= heap.length) {
+                    break;
+                }
+                if (child + 1 < heap.length && heap[child + 1] < heap[child]) {
+                    child++;
+                }
+                if (heap[child] >= last) {
+                    break;
+                }
+                heap[i] = heap[child];
+                i = child;
+            }
+            heap[i] = last;
+        }
+        return top;
+    }
+}
+
+/**
+ * Strip layout (Bederson, Shneiderman, and Wattenberg), an ordered treemap.
+ * Nodes keep their input order and fill strips along the longer side of the container.
+ * A node is added to the current strip while that lowers the strip's mean aspect ratio;
+ * otherwise it starts a new strip. With an aspect ratio limit, a strip whose longest tile
+ * exceeds it also takes the next node, and tiles too thin for their strip are grouped.
+ *
+ * @param {Array} nodes - Nodes with weights normalized to the container area
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @param {Object} options - Layout options (see generateTreemap)
+ * @returns {Array} Layout rectangles with x, y, w, h properties
+ */
+function layoutStrip(nodes, width, height, options = {}) {
+    const maxAspectRatio = options.maxAspectRatio ?? null;
+
+    // Strips run along the longer side; lay out as rows and transpose for tall containers
+    const horizontal = width >= height;
+    const length = horizontal ? width : height;
+
+    // Strips as [start, end) index ranges into nodes, with their total area
+    const strips = [];
+    let start = 0;
+    let totals = new StripTotals(length);
+
+    for (let i = 0; i < nodes.length; i++) {
+        const weight = nodes[i].weight;
+        if (totals.count === 0) {
+            totals.add(weight);
+            continue;
+        }
+
+        // Trying the node either keeps it or closes the strip, so the totals are never rolled back
+        const current = totals.meanAspectRatio();
+        const currentSum = totals.sum;
+        const currentMax = totals.max;
+        totals.add(weight);
+
+        if (totals.meanAspectRatio() > current && !isRowTooThin(currentSum, currentMax, length, maxAspectRatio)) {
+            strips.push({ start, end: i, sum: currentSum });
+            start = i;
+            totals = new StripTotals(length);
+            totals.add(weight);
+        }
+    }
+    if (totals.count > 0) {
+        strips.push({ start, end: nodes.length, sum: totals.sum });
+    }
+
+    const results = [];
+    let across = 0;
+    for (const { start: first, end, sum } of strips) {
+        const thickness = sum / length;
+        let along = 0;
+        for (const node of groupThinTiles(nodes.slice(first, end), length, maxAspectRatio)) {
+            const size = node.weight / thickness;
+            results.push(horizontal
+                ? { ...node, x: along, y: across, w: size, h: thickness }
+                : { ...node, x: across, y: along, w: thickness, h: size });
+            along += size;
+        }
+        across += thickness;
+    }
+
+    return results;
+}
+
+/**
+ * Pivot-by-middle layout (Shneiderman and Wattenberg), an ordered treemap.
+ * The middle node becomes the pivot. Nodes before it fill a band along the short edge (R1).
+ * The pivot and the nodes after it are split into R2 (stacked with the pivot) and R3,
+ * choosing the split that makes the pivot squarest. Each region is laid out recursively.
+ *
+ * @param {Array} nodes - Nodes with weights normalized to the container area
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @returns {Array} Layout rectangles with x, y, w, h properties
+ */
+function layoutPivot(nodes, width, height) {
+    // Prefix sums of the weights: every region is a contiguous range of nodes
+    const prefix = new Float64Array(nodes.length + 1);
+    for (let i = 0; i < nodes.length; i++) {
+        prefix[i + 1] = prefix[i] + nodes[i].weight;
+    }
+
+    const results = [];
+    const regions = [{ start: 0, end: nodes.length, x: 0, y: 0, w: width, h: height }];
+    while (regions.length > 0) {
+        pivotRegion(nodes, prefix, regions.pop(), regions, results);
+    }
+    return results;
+}
+
+/**
+ * Lay out one region of the pivot-by-middle treemap: place its pivot and queue the
+ * sub-regions around it.
+ *
+ * @param {Array} nodes - All nodes, in order
+ * @param {Float64Array} prefix - Prefix sums of the node weights
+ * @param {Object} region - { start, end, x, y, w, h }: nodes[start..end) fill the rectangle
+ * @param {Array} regions - Stack of regions still to lay out
+ * @param {Array} results - Output list of layout rectangles
+ */
+function pivotRegion(nodes, prefix, region, regions, results) {
+    const { start, end, x, y, w, h } = region;
+    if (start >= end || w <= 0 || h <= 0) {
+        return;
+    }
+    if (end - start === 1) {
+        results.push({ ...nodes[start], x, y, w, h });
+        return;
+    }
+
+    const total = prefix[end] - prefix[start];
+    if (total <= 0) {
+        return;
+    }
+
+    const pivotIndex = start + Math.floor((end - start) / 2);
+    const pivotWeight = nodes[pivotIndex].weight;
+
+    // Regions are arranged along the longer side ("across") and split along the shorter one ("along")
+    const wide = w >= h;
+    const across = wide ? w : h;
+    const along = wide ? h : w;
+
+    const r1Size = ((prefix[pivotIndex] - prefix[start]) / total) * across;
+
+    // Choose how many of the following nodes share the pivot's band (R2) so that the pivot's
+    // rectangle is as square as possible. Its width / height only grows as nodes join the band,
+    // so binary search for the first band where it reaches 1; the best is that one or the one before.
+    const bandRatio = bandEnd => {
+        const bandSum = prefix[bandEnd] - prefix[pivotIndex];
+        return calculateAspectRatio((bandSum / total) * across, (pivotWeight / bandSum) * along);
+    };
+    const isSquareOrWider = bandEnd => {
+        const bandSum = prefix[bandEnd] - prefix[pivotIndex];
+        return (bandSum / total) * across >= (pivotWeight / bandSum) * along;
+    };
+    let low = pivotIndex + 1;
+    let high = end;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (isSquareOrWider(mid)) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    let bandEnd = low;
+    if (bandEnd > pivotIndex + 1 && bandRatio(bandEnd - 1) <= bandRatio(bandEnd)) {
+        bandEnd--;
+    }
+
+    const bandSum = prefix[bandEnd] - prefix[pivotIndex];
+    const bandSize = (bandSum / total) * across;
+    const pivotLength = (pivotWeight / bandSum) * along;
+    const restSize = across - r1Size - bandSize;
+
+    if (wide) {
+        results.push({ ...nodes[pivotIndex], x: x + r1Size, y, w: bandSize, h: pivotLength });
+        regions.push(
+            { start: bandEnd, end, x: x + r1Size + bandSize, y, w: restSize, h },
+            { start: pivotIndex + 1, end: bandEnd, x: x + r1Size, y: y + pivotLength, w: bandSize, h: h - pivotLength },
+            { start, end: pivotIndex, x, y, w: r1Size, h },
+        );
+    } else {
+        results.push({ ...nodes[pivotIndex], x, y: y + r1Size, w: pivotLength, h: bandSize });
+        regions.push(
+            { start: bandEnd, end, x, y: y + r1Size + bandSize, w, h: restSize },
+            { start: pivotIndex + 1, end: bandEnd, x: x + pivotLength, y: y + r1Size, w: w - pivotLength, h: bandSize },
+            { start, end: pivotIndex, x, y, w, h: r1Size },
+        );
+    }
+}
+
+/**
+ * Registry of layout algorithms, selected with the `algorithm` option of generateTreemap.
+ * Each takes nodes whose weights are normalized to the container area, the container
+ * size and the layout options, and returns rectangles with x, y, w, h properties.
+ */
+const TREEMAP_LAYOUTS = {
+    squarified: layoutSquarified,
+    sliceAndDice: layoutSliceAndDice,
+    strip: layoutStrip,
+    pivot: layoutPivot,
+};
+
+/**
+ * Algorithms that honour the maxAspectRatio option of generateTreemap. Slice-and-dice and
+ * pivot ignore it: their tile shapes follow from the node order and nesting alone, so a
+ * limit could only be met by grouping nearly every tile.
+ */
+const ASPECT_RATIO_LAYOUTS = ['squarified', 'strip'];
+
+/**
+ * Partition a hierarchy into sunburst rings. Each node gets an angular span proportional to
+ * its weight within its parent's span, in the ring one further out than its parent.
+ * Angles are in radians, clockwise from 12 o'clock.
+ *
+ * @param {Array} nodes - Nodes with weight property and optional children
+ * @param {Object} options - Layout options:
+ * @param {string} options.order - 'weight' (largest first, default) or 'name' (see compareStableOrder)
+ * @param {number} options.minAngle - Arcs narrower than this are dropped with their descendants (default 0.001)
+ * @returns {Array} Arcs { ...node, ring, startAngle, endAngle }, parents before their children
+ */
+function layoutSunburst(nodes, options = {}) {
+    const minAngle = options.minAngle ?? 0.001;
+    const arcs = [];
+
+    function partition(levelNodes, start, end, ring) {
+        const weightOf = node => (isFinite(node.weight) && node.weight > 0 ? node.weight : 0);
+        const total = levelNodes.reduce((sum, node) => sum + weightOf(node), 0);
+        if (total <= 0) {
+            return;
+        }
+
+        const ordered = [...levelNodes].sort(options.order === 'name'
+            ? compareStableOrder
+            : (a, b) => weightOf(b) - weightOf(a));
+        let angle = start;
+        for (const node of ordered) {
+            const span = (weightOf(node) / total) * (end - start);
+            if (span >= minAngle) {
+                arcs.push({ ...node, ring, startAngle: angle, endAngle: angle + span });
+                if (node.children && node.children.length > 0) {
+                    partition(node.children, angle, angle + span, ring + 1);
+                }
+            }
+            angle += span;
+        }
+    }
+
+    partition(nodes, 0, Math.PI * 2, 0);
+    return arcs;
+}
+
+/**
+ * Place circle c tangent to circles a and b (on the side to the right of a→b).
+ */
+function placeTangentCircle(b, a, c) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const d2 = dx * dx + dy * dy;
+    if (d2 === 0) {
+        c.x = a.x + c.r;
+        c.y = a.y;
+        return;
+    }
+
+    const a2 = (a.r + c.r) ** 2;
+    const b2 = (b.r + c.r) ** 2;
+    if (a2 > b2) {
+        const x = (d2 + b2 - a2) / (2 * d2);
+        const y = Math.sqrt(Math.max(0, b2 / d2 - x * x));
+        c.x = b.x - x * dx - y * dy;
+        c.y = b.y - x * dy + y * dx;
+    } else {
+        const x = (d2 + a2 - b2) / (2 * d2);
+        const y = Math.sqrt(Math.max(0, a2 / d2 - x * x));
+        c.x = a.x + x * dx - y * dy;
+        c.y = a.y + x * dy + y * dx;
+    }
+}
+
+function circlesIntersect(a, b) {
+    const dr = a.r + b.r - 1e-6;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return dr > 0 && dr * dr > dx * dx + dy * dy;
+}
+
+/**
+ * Pack sibling circles without overlap using the front-chain algorithm (Wang et al. 2006,
+ * "Visualization of Large Hierarchical Data by Circle Packing"). Sets x and y on each circle
+ * so that the enclosing circle is centered on the origin.
+ *
+ * @param {Array} circles - Objects with radius `r`, in packing order
+ * @returns {number} Radius of the enclosing circle
+ */
+function packSiblings(circles) {
+    const n = circles.length;
+    if (n === 0) {
+        return 0;
+    }
+
+    circles[0].x = 0;
+    circles[0].y = 0;
+    if (n === 1) {
+        return circles[0].r;
+    }
+
+    circles[0].x = -circles[1].r;
+    circles[1].x = circles[0].r;
+    circles[1].y = 0;
+
+    if (n > 2) {
+        placeTangentCircle(circles[1], circles[0], circles[2]);
+
+        // Front chain: a circular list of the circles on the outside of the pack
+        let a = { circle: circles[0] };
+        let b = { circle: circles[1] };
+        let c = { circle: circles[2] };
+        a.next = c.previous = b;
+        b.next = a.previous = c;
+        c.next = b.previous = a;
+
+        // Distance of the weighted midpoint of a chain link to the origin, to keep the pack round
+        const score = (link) => {
+            const first = link.circle;
+            const second = link.next.circle;
+            const sum = first.r + second.r;
+            const x = (first.x * second.r + second.x * first.r) / sum;
+            const y = (first.y * second.r + second.y * first.r) / sum;
+            return x * x + y * y;
+        };
+
+        pack: for (let i = 3; i < n; i++) {
+            placeTangentCircle(a.circle, b.circle, circles[i]);
+            c = { circle: circles[i] };
+
+            // Find the nearest chain circle the new one overlaps, searching both ways along the chain
+            let ahead = b.next;
+            let behind = a.previous;
+            let aheadLength = b.circle.r;
+            let behindLength = a.circle.r;
+            do {
+                if (aheadLength <= behindLength) {
+                    if (circlesIntersect(ahead.circle, c.circle)) {
+                        // Drop the chain between a and the overlapping circle and retry
+                        b = ahead;
+                        a.next = b;
+                        b.previous = a;
+                        i--;
+                        continue pack;
+                    }
+                    aheadLength += ahead.circle.r;
+                    ahead = ahead.next;
+                } else {
+                    if (circlesIntersect(behind.circle, c.circle)) {
+                        a = behind;
+                        a.next = b;
+                        b.previous = a;
+                        i--;
+                        continue pack;
+                    }
+                    behindLength += behind.circle.r;
+                    behind = behind.previous;
+                }
+            } while (ahead !== behind.next);
+
+            // No overlap: insert c between a and b, then continue from the link closest to the origin
+            c.previous = a;
+            c.next = b;
+            a.next = b.previous = b = c;
+
+            let bestScore = score(a);
+            while ((c = c.next) !== b) {
+                const linkScore = score(c);
+                if (linkScore < bestScore) {
+                    a = c;
+                    bestScore = linkScore;
+                }
+            }
+            b = a.next;
+        }
+    }
+
+    // Enclose the pack in a circle around its bounding box center, then center it on the origin
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const circle of circles) {
+        minX = Math.min(minX, circle.x - circle.r);
+        minY = Math.min(minY, circle.y - circle.r);
+        maxX = Math.max(maxX, circle.x + circle.r);
+        maxY = Math.max(maxY, circle.y + circle.r);
+    }
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    let radius = 0;
+    for (const circle of circles) {
+        circle.x -= centerX;
+        circle.y -= centerY;
+        radius = Math.max(radius, Math.hypot(circle.x, circle.y) + circle.r);
+    }
+    return radius;
+}
+
+/**
+ * Lay out a hierarchy as nested circles. Leaf circle areas are proportional to weight,
+ * and each parent circle encloses its packed children.
+ *
+ * @param {Array} nodes - Nodes with weight property and optional children
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @param {Object} options - Layout options:
+ * @param {string} options.order - 'weight' (largest first, default) or 'name' (see compareStableOrder)
+ * @param {number} options.padding - Space around a parent's children, as a fraction of its radius (default 0.05)
+ * @returns {Array} Circles { ...node, x, y, r, level } with absolute centers, parents before their children
+ */
+function layoutCirclePacking(nodes, width, height, options = {}) {
+    const padding = options.padding ?? 0.05;
+    const weightOf = node => (isFinite(node.weight) && node.weight > 0 ? node.weight : 0);
+
+    // Pack bottom-up in weight units, where a leaf's area is its weight
+    function packLevel(levelNodes) {
+        const ordered = levelNodes.filter(node => weightOf(node) > 0).sort(options.order === 'name'
+            ? compareStableOrder
+            : (a, b) => weightOf(b) - weightOf(a));
+        const circles = ordered.map(node => {
+            if (node.children && node.children.length > 0) {
+                const inner = packLevel(node.children);
+                if (inner.circles.length > 0) {
+                    return { node, r: inner.r * (1 + padding), children: inner.circles };
+                }
+            }
+            return { node, r: Math.sqrt(weightOf(node) / Math.PI), children: null };
+        });
+        return { circles, r: packSiblings(circles) };
+    }
+
+    const root = packLevel(nodes);
+    const results = [];
+    if (root.r <= 0 || !(width > 0) || !(height > 0)) {
+        return results;
+    }
+
+    // Scale the whole pack to fit the container, then place circles with absolute centers
+    const scale = (Math.min(width, height) / 2) / root.r;
+    function place(circles, cx, cy, level) {
+        for (const circle of circles) {
+            const x = cx + circle.x * scale;
+            const y = cy + circle.y * scale;
+            results.push({ ...circle.node, x, y, r: circle.r * scale, level });
+            if (circle.children) {
+                place(circle.children, x, y, level + 1);
+            }
+        }
+    }
+    place(root.circles, width / 2, height / 2, 0);
+
+    return results;
+}
+
+/**
+ * Quadtree over layout rectangles, for finding the tile under the pointer without
+ * a DOM element per tile. Items stay in the deepest quadrant that fully contains them.
+ */
+class TileQuadtree {
+    constructor(x, y, width, height, depth = 0) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+        this.items = [];
+        this.quadrants = null;
+    }
+
+    /**
+     * Add a rectangle with x, y, w, h properties.
+     */
+    insert(item) {
+        if (this.quadrants) {
+            const quadrant = this.quadrantFor(item);
+            if (quadrant) {
+                quadrant.insert(item);
+                return;
+            }
+        }
+
+        this.items.push(item);
+        if (!this.quadrants && this.items.length > 8 && this.depth < 12) {
+            this.split();
+        }
+    }
+
+    split() {
+        const halfWidth = this.width / 2;
+        const halfHeight = this.height / 2;
+        const depth = this.depth + 1;
+        this.quadrants = [
+            new TileQuadtree(this.x, this.y, halfWidth, halfHeight, depth),
+            new TileQuadtree(this.x + halfWidth, this.y, halfWidth, halfHeight, depth),
+            new TileQuadtree(this.x, this.y + halfHeight, halfWidth, halfHeight, depth),
+            new TileQuadtree(this.x + halfWidth, this.y + halfHeight, halfWidth, halfHeight, depth),
+        ];
+
+        const items = this.items;
+        this.items = [];
+        for (const item of items) {
+            this.insert(item);
+        }
+    }
+
+    /**
+     * Find the quadrant that fully contains a rectangle (null if it straddles a boundary).
+     */
+    quadrantFor(item) {
+        for (const quadrant of this.quadrants) {
+            if (item.x >= quadrant.x && item.y >= quadrant.y &&
+                item.x + item.w <= quadrant.x + quadrant.width &&
+                item.y + item.h <= quadrant.y + quadrant.height) {
+                return quadrant;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find every rectangle containing a point.
+     *
+     * @param {number} px - Point x
+     * @param {number} py - Point y
+     * @param {Array} found - Array to add matches to
+     * @returns {Array} The matching rectangles, in no particular order
+     */
+    query(px, py, found = []) {
+        for (const item of this.items) {
+            if (px >= item.x && px < item.x + item.w && py >= item.y && py < item.y + item.h) {
+                found.push(item);
+            }
+        }
+
+        if (this.quadrants) {
+            for (const quadrant of this.quadrants) {
+                if (px >= quadrant.x && px < quadrant.x + quadrant.width &&
+                    py >= quadrant.y && py < quadrant.y + quadrant.height) {
+                    quadrant.query(px, py, found);
+                }
+            }
+        }
+
+        return found;
+    }
+}
+
+/**
+ * When this file runs as a Web Worker (ui.js starts one from its inlined source), answer
+ * layout requests { id, nodes, width, height, maxAspectRatio, options } with
+ * { id, tiles, distortion } from generateNestedTreemap. Nodes carry a `ref` index that
+ * ui.js uses to map tiles back to its own nodes, so children and grouped nodes are
+ * returned as refs rather than copied back.
+ */
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (e) => {
+        const { id, nodes, width, height, maxAspectRatio, options } = e.data;
+        const { tiles, distortion } = generateNestedTreemap(nodes, width, height, maxAspectRatio, options);
+        self.postMessage({
+            id,
+            tiles: tiles.map(({ children, groupedNodes, ...tile }) => (
+                groupedNodes ? { ...tile, groupedNodes: groupedNodes.map(node => node.ref) } : tile
+            )),
+            distortion,
+        });
+    };
+}
@@ -1,16 +1,67 @@
-// Note: generateTreemap is defined in treemap.js which is loaded before this file
+// Note: generateNestedTreemap, layoutSunburst, layoutCirclePacking, calculateAspectRatio, TREEMAP_LAYOUTS and TileQuadtree are defined in treemap.js which is loaded before this file
 
 let currentData = null;
 let currentView = 'namespaces'; // 'namespaces', 'files', or 'methods'
 let currentNamespace = null;
 let currentFile = null;
-let highlightedTests = new Set();
+let currentMethod = null; // Name of the method whose details are open; part of the route
+let highlightedTests = new Set(); // Test IDs picked in the test picker; tiles they don't reach are dimmed
+let testReachCache = new WeakMap(); // Lines the highlighted tests reach, per entity or node (see getTestReach)
+let allTests = null; // Every test ID in the report, sorted; built on first use
+let testIndex = null; // Inverted index from test ID to the code it covers (see getTestIndex)
+let scopedTest = null; // Test whose covered code is the only code shown, or null for all code
+let testInventorySort = { key: 'methods', descending: true }; // Column of TEST_INVENTORY_COLUMNS
 let resizeHandler = null;
 let maxDepth = 0;
 let currentDepth = 0;
 let isSliderChanging = false; // Flag to prevent navigation during slider changes
+let isRouting = false; // Set while navigateFromHash applies the URL, so views don't add history entries
+let lastRoutedHash = null; // Hash the views were last drawn for, to ignore duplicate popstate/hashchange events
 let maxAspectRatio = null; // null means no limit, otherwise it's the max aspect ratio allowed
 let isUpdatingAspectRatioFromHash = false; // Flag to prevent event loop during hash navigation
+let layoutMode = 'readable'; // 'readable' (minimum tile shares) or 'faithful' (area exactly proportional to weight)
+let layoutAlgorithm = 'squarified'; // Key of TREEMAP_LAYOUTS in treemap.js
+let layoutOrder = 'weight'; // 'weight' (largest first) or 'name' (stable between report runs)
+let sizeMetric = 'coverable'; // Key of SIZE_METRICS: what tile area represents
+let visualization = 'treemap'; // 'treemap', 'sunburst' or 'pack' (circle packing)
+let tileShading = 'flat'; // 'flat' or 'cushion' (shaded ridges for each nesting level)
+let layoutDistortion = null; // Distortion accumulated over every layout drawn in the current view
+
+// Report options embedded by TreemapGenerator next to COVERAGE_DATA (absent when opened from source)
+const viewOptions = typeof TREEMAP_OPTIONS !== 'undefined' ? TREEMAP_OPTIONS : {};
+const canvasTileThreshold = Number.isInteger(viewOptions.canvasTileThreshold) && viewOptions.canvasTileThreshold >= 0
+    ? viewOptions.canvasTileThreshold
+    : 2000; // Above this many tiles, draw on a canvas instead of one SVG element per tile
+const defaultColorThresholds = parseColorThresholds(viewOptions.colorThresholds) || [50, 80];
+const defaultColorScale = viewOptions.colorScale === 'continuous' ? 'continuous' : 'stepped';
+let colorThresholds = defaultColorThresholds; // Ascending percentages where the color changes
+let colorScale = defaultColorScale; // 'stepped' (one color per band) or 'continuous' (gradient between thresholds)
+let colorPalette = 'default'; // Key of COVERAGE_PALETTES
+let lowCoveragePattern = false; // Hatch the lowest band so it doesn't rely on color alone
+let hideNotApplicable = false; // Leave out code with no coverable lines (interfaces, abstract methods)
+// Filter bar conditions when nothing is filtered. Percentages bound a file's coverage (at least
+// minPercent, below maxPercent), and include/exclude are path patterns as typed (see parsePathPatterns).
+const DEFAULT_DATA_FILTERS = { minPercent: null, maxPercent: null, minLines: 0, include: '', exclude: '' };
+let dataFilters = { ...DEFAULT_DATA_FILTERS }; // Filter bar conditions, applied to files by applyDataFilters
+let filteredOutFiles = 0; // Files the filter bar hides, for updateStats
+let canvasTiles = []; // Tiles currently drawn on the canvas, in paint order
+let searchIndex = null; // Entries for every namespace, file and method in currentData, built on first search
+let pendingHighlight = null; // { type, fullName } of a tile to pulse once the next view is drawn
+let focusTargets = []; // { node, element, x, y } per tile in the current drawing; element is null on the canvas
+let focusedTarget = null; // Entry of focusTargets holding the roving tab stop
+let previousDrawing = null; // { scope, tiles } of the last SVG treemap, to animate from when the next one is drawn
+let transitionFrame = null; // requestAnimationFrame id of the running transition
+let pendingFocus = null; // After keyboard navigation: { type, fullName } of the tile to focus next, or true for the first
+let canvasHitIndex = null; // TileQuadtree over canvasTiles for hover and click
+
+let layoutWorker = null; // Web Worker running treemap.js, started on first use
+let layoutWorkerUrl = null; // Blob URL of the worker source
+let layoutWorkerUnavailable = false; // Set when workers can't be used, so layout runs inline
+let pendingLayout = null; // { id, refs, resolve, layoutSync } of the layout the worker is computing
+let layoutRequestCount = 0;
+
+const TILE_PADDING = 3; // Space between a parent tile's edge and its children
+const TILE_HEADER_HEIGHT = 18; // Height of the strip showing a parent tile's name and coverage
 
 function debounce(fn, delay = 150) {
     let timeout;
@@ -43,15 +94,7 @@ function getSvgSize(svg) {
 }
 
 /**
- * Encode a path for use in URL hash.
- */
-function encodeHash(path) {
-    if (!path) return '';
-    return encodeURIComponent(path);
-}
-
-/**
- * Decode a path from URL hash.
+ * Decode a legacy hash (see parseLegacyHash), which was encoded as a whole.
  */
 function decodeHash(hash) {
     if (!hash || hash === '#') return null;
@@ -102,98 +145,244 @@ function findNamespaceForFile(fileName) {
 }
 
 /**
- * Parse hash into namespace, file, depth, and aspectRatio components.
- * Format: #namespace or #namespace/file.php or #namespace?depth=2&aspectRatio=50 or #namespace/file.php?depth=2&aspectRatio=50
- * The hash is already decoded, so we just split on '/' and '?'
+ * Find a file in currentData by its full path.
  */
-function parseHash(hash) {
-    const decoded = decodeHash(hash);
-    if (!decoded) return { namespace: null, file: null, depth: null, aspectRatio: null };
-    
-    // Split on '?' to separate path from query parameters
-    const [pathPart, queryPart] = decoded.split('?');
+function findFileByPath(path) {
+    if (!currentData || !path) return null;
+    const stack = [...(currentData.namespaces || [])];
+    while (stack.length) {
+        const ns = stack.pop();
+        const file = (ns.files || []).find(f => (f.fullPath || f.name) === path);
+        if (file) {
+            return file;
+        }
+        stack.push(...(ns.namespaces || []));
+    }
+    return null;
+}
+
+/**
+ * View options kept in the hash query string alongside depth and aspectRatio.
+ * Maps key => { defaultValue, get, set }. Values equal to the default are omitted from the hash.
+ */
+const hashOptions = new Map();
+
+/**
+ * Register a view option that is serialized into the hash.
+ * @param {string} key - Query parameter name
+ * @param {string} defaultValue - Value used when the parameter is absent
+ * @param {Function} get - Returns the current value as a string
+ * @param {Function} set - Applies a value read from the hash (the default when absent)
+ */
+function registerHashOption(key, defaultValue, get, set) {
+    hashOptions.set(key, { defaultValue, get, set });
+}
+
+/**
+ * Routes name the namespace, file and method in explicit segments, each URI-encoded, so a
+ * nested namespace ("Http/Controllers") can't be mistaken for a namespace and file:
+ *   #/ns/<namespace>/file/<file name>/method/<method>?<view options>
+ * The project overview is "#/".
+ */
+const ROUTE_SEGMENTS = { ns: 'namespace', file: 'file', method: 'method' };
+
+/**
+ * Build the path part of a route.
+ * @param {string|null} namespace - Full namespace name
+ * @param {string|null} file - File name within the namespace
+ * @param {string|null} method - Method name within the file
+ * @returns {string} Hash such as "#/ns/Models/file/User.php"
+ */
+function formatRoute(namespace, file = null, method = null) {
+    let route = '#/';
+    if (namespace) {
+        route += `ns/${encodeURIComponent(namespace)}`;
+        if (file) {
+            route += `/file/${encodeURIComponent(file)}`;
+            if (method) {
+                route += `/method/${encodeURIComponent(method)}`;
+            }
+        }
+    }
+    return route;
+}
+
+/**
+ * Parse the view options in a hash query string: depth, aspectRatio and the registered options.
+ */
+function parseHashQuery(queryPart) {
     let depth = null;
     let aspectRatio = null;
-    
-    // Parse query parameters
-    if (queryPart) {
-        const params = new URLSearchParams(queryPart);
-        
-        // Parse depth from query string
-        const depthParam = params.get('depth');
-        if (depthParam !== null) {
-            const parsedDepth = parseInt(depthParam, 10);
-            if (!isNaN(parsedDepth) && parsedDepth >= 0) {
-                depth = parsedDepth;
-            }
+    const options = {};
+    if (!queryPart) {
+        return { depth, aspectRatio, options };
+    }
+
+    const params = new URLSearchParams(queryPart);
+
+    // Parse registered view options
+    for (const key of hashOptions.keys()) {
+        if (params.has(key)) {
+            options[key] = params.get(key);
         }
-        
-        // Parse aspectRatio from query string
-        const aspectRatioParam = params.get('aspectRatio');
-        if (aspectRatioParam !== null) {
-            const parsedAspectRatio = parseInt(aspectRatioParam, 10);
-            if (!isNaN(parsedAspectRatio) && parsedAspectRatio >= 1 && parsedAspectRatio <= 100) {
-                aspectRatio = parsedAspectRatio;
-            }
+    }
+
+    // Parse depth from query string
+    const depthParam = params.get('depth');
+    if (depthParam !== null) {
+        const parsedDepth = parseInt(depthParam, 10);
+        if (!isNaN(parsedDepth) && parsedDepth >= 0) {
+            depth = parsedDepth;
         }
     }
-    
+
+    // Parse aspectRatio from query string
+    const aspectRatioParam = params.get('aspectRatio');
+    if (aspectRatioParam !== null) {
+        const parsedAspectRatio = parseInt(aspectRatioParam, 10);
+        if (!isNaN(parsedAspectRatio) && parsedAspectRatio >= 1 && parsedAspectRatio <= 100) {
+            aspectRatio = parsedAspectRatio;
+        }
+    }
+
+    return { depth, aspectRatio, options };
+}
+
+/**
+ * Parse a hash into its route (namespace, file, method) and view options.
+ * Hashes that don't start with "#/" are in the legacy format and go to parseLegacyHash.
+ * @returns {Object} { namespace, file, method, depth, aspectRatio, options, legacy }
+ */
+function parseHash(hash) {
+    const raw = (hash || '').replace(/^#/, '');
+    if (!raw.startsWith('/')) {
+        return parseLegacyHash(hash);
+    }
+
+    const queryIndex = raw.indexOf('?');
+    const pathPart = queryIndex === -1 ? raw : raw.slice(0, queryIndex);
+    const route = { namespace: null, file: null, method: null };
+    const parts = pathPart.split('/').filter(Boolean);
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+        const key = ROUTE_SEGMENTS[parts[i]];
+        if (!key) {
+            break;
+        }
+        try {
+            route[key] = decodeURIComponent(parts[i + 1]);
+        } catch (e) {
+            break; // Malformed escape: keep the route up to here
+        }
+    }
+
+    return { ...route, ...parseHashQuery(queryIndex === -1 ? '' : raw.slice(queryIndex + 1)), legacy: false };
+}
+
+/**
+ * Parse a hash in the legacy format, kept so old bookmarks still open:
+ * #namespace or #namespace/file.php or #namespace?depth=2&aspectRatio=50 or #namespace/file.php?depth=2&aspectRatio=50
+ * The whole hash was encoded at once, so it is decoded first and then split on '/' and '?'.
+ * Whether "a/b" is a nested namespace or a namespace and file is resolved by navigateFromLegacyHash.
+ */
+function parseLegacyHash(hash) {
+    const decoded = decodeHash(hash);
+    if (!decoded) {
+        return { namespace: null, file: null, method: null, depth: null, aspectRatio: null, options: {}, legacy: true };
+    }
+
+    // Split on '?' to separate path from query parameters
+    const [pathPart, queryPart] = decoded.split('?');
+    const query = parseHashQuery(queryPart);
+
     const parts = pathPart.split('/');
     if (parts.length === 1) {
-        return { namespace: parts[0] || null, file: null, depth, aspectRatio };
-    } else if (parts.length >= 2) {
-        // First part is always the top-level namespace
-        // Everything after is either a nested namespace path or namespace/file
-        return { namespace: parts[0], file: parts.slice(1).join('/'), depth, aspectRatio };
+        return { namespace: parts[0] || null, file: null, method: null, ...query, legacy: true };
     }
-    return { namespace: null, file: null, depth, aspectRatio };
+    // First part is always the top-level namespace
+    // Everything after is either a nested namespace path or namespace/file
+    return { namespace: parts[0], file: parts.slice(1).join('/'), method: null, ...query, legacy: true };
 }
 
 /**
- * Update URL hash without triggering navigation.
+ * Build the hash for a location with the current view options.
  * @param {string|null} namespace - The namespace path
  * @param {string|null} file - The file name
- * @param {number|null} depth - The depth level (optional, uses currentDepth if not provided)
- * @param {number|null} aspectRatio - The aspect ratio slider position (optional, uses current slider value if not provided)
+ * @param {Object} options - { method, depth, aspectRatio }; depth and aspectRatio default to the current ones
+ * @returns {string} Hash including the leading '#'
  */
-function updateHash(namespace, file, depth = null, aspectRatio = null) {
-    let hash = '';
-    if (namespace) {
-        if (file) {
-            // Encode the full path consistently: namespace/file
-            const fullPath = `${namespace}/${file}`;
-            hash = encodeHash(fullPath);
-        } else {
-            hash = encodeHash(namespace);
-        }
-    }
-    
+function buildHash(namespace, file, { method = null, depth = null, aspectRatio = null } = {}) {
     // Build query parameters
     const params = [];
-    
+
     // Add depth to hash if it's set (use provided depth or currentDepth)
     const depthToUse = depth !== null ? depth : (currentDepth > 0 ? currentDepth : null);
     if (depthToUse !== null && depthToUse > 0) {
         params.push(`depth=${depthToUse}`);
     }
-    
+
     // Add aspectRatio to hash if it's set (use provided aspectRatio or current slider value)
     const aspectRatioToUse = aspectRatio !== null ? aspectRatio : getAspectRatioSliderValue();
     if (aspectRatioToUse !== null && aspectRatioToUse < 100) {
         params.push(`aspectRatio=${aspectRatioToUse}`);
     }
-    
-    // Add query string if we have any parameters
-    if (params.length > 0) {
-        hash += `?${params.join('&')}`;
+
+    // Add registered view options that differ from their defaults
+    for (const [key, option] of hashOptions) {
+        const value = option.get();
+        if (value !== option.defaultValue) {
+            params.push(`${key}=${encodeURIComponent(value)}`);
+        }
     }
-    
-    // Only update if hash actually changed to avoid unnecessary history entries
-    const newHash = '#' + hash;
-    if (window.location.hash !== newHash) {
-        // Use replaceState to avoid adding history entry, but don't prevent hashchange
-        // We want hashchange to fire for proper navigation
+
+    const route = formatRoute(namespace, file, method);
+    return params.length > 0 ? `${route}?${params.join('&')}` : route;
+}
+
+/**
+ * Update URL hash without triggering navigation. Moving to another namespace, file or method
+ * adds a history entry so Back returns to it; changing only view options (sliders, selects)
+ * replaces the current entry.
+ * @param {string|null} namespace - The namespace path
+ * @param {string|null} file - The file name
+ * @param {Object} options - See buildHash; pass replace: true to never add a history entry
+ */
+function updateHash(namespace, file, options = {}) {
+    const newHash = buildHash(namespace, file, options);
+    const currentHash = window.location.hash;
+    lastRoutedHash = newHash;
+    if (currentHash === newHash) {
+        return;
+    }
+
+    // While following the URL (initial load, Back/Forward, legacy links) only rewrite it
+    const samePlace = currentHash.split('?')[0] === newHash.split('?')[0];
+    if (options.replace || isRouting || samePlace) {
         history.replaceState(null, '', newHash);
+    } else {
+        history.pushState(null, '', newHash);
+    }
+}
+
+/**
+ * Restore a hash without adding a history entry or navigating.
+ */
+function replaceHash(hash) {
+    if (window.location.hash !== hash) {
+        history.replaceState(null, '', hash);
+    }
+    lastRoutedHash = hash;
+}
+
+/**
+ * Update the hash for the view currently on screen, e.g. after a view option changed.
+ */
+function updateHashForCurrentView() {
+    if (currentView === 'files') {
+        updateHash(currentNamespace, null);
+    } else if (currentView === 'methods' && currentFile) {
+        updateHash(currentNamespace, currentFile.split('/').pop(), { method: currentMethod });
+    } else {
+        updateHash(null, null);
     }
 }
 
@@ -215,19 +404,22 @@ function getAspectRatioSliderValue() {
  */
 function navigateFromHash() {
     if (!currentData) return;
-    
+
     const hash = window.location.hash;
-    const decoded = decodeHash(hash);
-    
-    let namespace;
-    let file;
-    let depth = null;
-    
-    // Parse hash to get namespace, file, depth, and aspectRatio
-    const parsed = parseHash(hash);
-    namespace = parsed.namespace;
-    file = parsed.file;
-    depth = parsed.depth;
+    lastRoutedHash = hash;
+    isRouting = true;
+    try {
+        applyRoute(parseHash(hash), hash);
+    } finally {
+        isRouting = false;
+    }
+}
+
+/**
+ * Apply a parsed hash: view options first, then the location.
+ */
+function applyRoute(parsed, hash) {
+    const depth = parsed.depth;
     const aspectRatio = parsed.aspectRatio;
     
     // Set depth: use depth from hash if specified, otherwise reset to 0
@@ -273,6 +465,64 @@ function navigateFromHash() {
         isUpdatingAspectRatioFromHash = false;
     }
     
+    // Apply registered view options (falling back to their defaults)
+    for (const [key, option] of hashOptions) {
+        option.set(parsed.options[key] ?? option.defaultValue);
+    }
+    
+    if (parsed.legacy) {
+        // The views rewrite the URL in the current format as they render
+        navigateFromLegacyHash(parsed.namespace, parsed.file, decodeHash(hash));
+        return;
+    }
+
+    const ns = parsed.namespace ? findNamespaceByName(parsed.namespace) : null;
+    if (!ns) {
+        renderNamespaces();
+        return;
+    }
+
+    const fileObj = parsed.file ? (ns.files || []).find(f => f.name === parsed.file) : null;
+    if (!fileObj) {
+        renderFiles(ns.name, ns.files || []);
+        return;
+    }
+
+    const method = parsed.method ? (fileObj.methods || []).find(m => m.name === parsed.method) : null;
+    currentNamespace = ns.name;
+    currentMethod = method ? method.name : null;
+    renderMethods(fileObj.fullPath || fileObj.name, fileObj.methods || []);
+
+    // renderMethods forgets the method when the file changes
+    currentMethod = method ? method.name : null;
+    if (method) {
+        showMethodDetails({
+            ...method,
+            fullName: method.name,
+            percent: coveragePercent(method.covered, method.coverable),
+            tests: method.tests || [],
+            filePath: fileObj.fullPath || fileObj.name,
+            type: 'method',
+        });
+        markSelectedMethod();
+        // A shared link points at this method, so bring its details on screen
+        document.getElementById('method-details').scrollIntoView({
+            behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+            block: 'nearest',
+        });
+    } else {
+        hideMethodDetails();
+    }
+    updateHashForCurrentView();
+}
+
+/**
+ * Resolve a legacy hash, where "a/b" may be a nested namespace or a namespace and file.
+ * @param {string|null} namespace - First path segment
+ * @param {string|null} file - Rest of the path
+ * @param {string|null} decoded - The whole decoded hash
+ */
+function navigateFromLegacyHash(namespace, file, decoded) {
     // Try exact namespace match first (handles nested namespaces like "Models/Ingredients")
     // But only if we didn't get a namespace from parsing (to handle query params)
     if (!namespace && decoded) {
@@ -436,9 +686,23 @@ function navigateFromHash() {
  * Load and parse the coverage data.
  */
 function loadData() {
-    currentData = COVERAGE_DATA;
+    applyDataFilters();
     initializeDepthControl();
     initializeAspectRatioControl();
+    initializeLayoutModeControl();
+    initializeLayoutAlgorithmControl();
+    initializeLayoutOrderControl();
+    initializeTileShadingControl();
+    initializeVisualizationControl();
+    initializeColorControl();
+    initializeNotApplicableControl();
+    initializeFilterControl();
+    initializeSizeMetricControl();
+    initializeCanvasRenderer();
+    initializeSearch();
+    initializeTestPicker();
+    initializeTestInventory();
+    initializeKeyboardNavigation();
     navigateFromHash();
 }
 
@@ -525,7 +789,7 @@ function initializeAspectRatioControl() {
             }
             
             // Update hash with new aspect ratio (but don't trigger navigation)
-            updateHash(null, null, null, sliderValue);
+            updateHashForCurrentView();
             
             // Re-render current view with new aspect ratio limit
             rerenderCurrentView();
@@ -534,1350 +798,4582 @@ function initializeAspectRatioControl() {
 }
 
 /**
- * Initialize the depth control slider.
+ * Initialize the layout mode selector (readable vs. area-faithful tiles).
  */
-function initializeDepthControl() {
-    if (!currentData || !currentData.namespaces) {
+function initializeLayoutModeControl() {
+    const layoutModeSelect = document.getElementById('layout-mode-select');
+    if (!layoutModeSelect) {
         return;
     }
-    
-    // Calculate maximum depth
-    maxDepth = calculateMaxDepth(currentData.namespaces);
-    console.log('maxDepth', maxDepth);
-    console.log('currentData.namespaces', currentData.namespaces);
-    
-    // Set up slider
-    const depthControl = document.getElementById('depth-control');
-    const depthSlider = document.getElementById('depth-slider');
-    const depthValue = document.getElementById('depth-value');
-    
-    if (depthControl && depthSlider && depthValue) {
-        // Only show slider if there's content that can be shown at different depths
-        if (maxDepth > 0) {
-            depthControl.style.display = 'block';
-            depthSlider.setAttribute('max', maxDepth);
-            depthSlider.setAttribute('value', currentDepth);
-            depthValue.textContent = getDepthLabel(currentDepth, currentView);
-            
-            // Add event listener for slider changes
-            depthSlider.addEventListener('input', (e) => {
-                isSliderChanging = true;
-                currentDepth = parseInt(e.target.value, 10);
-                depthValue.textContent = getDepthLabel(currentDepth, currentView);
-                
-                // Re-render if we're on the namespaces view (skip hash update to prevent navigation)
-                if (currentView === 'namespaces') {
-                    renderNamespaces(true);
-                }
-                
-                // Reset flag after a short delay to allow any pending events to complete
-                setTimeout(() => {
-                    isSliderChanging = false;
-                }, 100);
-            });
-        } else {
-            depthControl.style.display = 'none';
-        }
-    }
+
+    layoutModeSelect.value = layoutMode;
+    layoutModeSelect.addEventListener('change', (e) => {
+        layoutMode = e.target.value === 'faithful' ? 'faithful' : 'readable';
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    });
+
+    registerHashOption('mode', 'readable', () => layoutMode, (value) => {
+        layoutMode = value === 'faithful' ? 'faithful' : 'readable';
+        layoutModeSelect.value = layoutMode;
+    });
 }
 
 /**
- * Calculate the maximum namespace nesting depth (how many levels deep namespaces go).
- * This counts the actual nesting levels, not including files/methods.
- * @param {Object} namespace - The namespace to check
- * @param {number} currentLevel - Current nesting level (starts at 0 for the namespace itself)
- * @returns {number} Maximum nesting depth found (0 = no nesting, 1 = 1 level deep, etc.)
+ * Initialize the layout algorithm selector (squarified, slice-and-dice, strip, pivot).
  */
-function calculateMaxNamespaceDepth(namespace, currentLevel = 0) {
-    if (!namespace) {
-        return currentLevel;
-    }
-    
-    let maxDepth = currentLevel;
-    
-    // Recursively check nested namespaces
-    if (namespace.namespaces && namespace.namespaces.length > 0) {
-        for (const nestedNs of namespace.namespaces) {
-            const nestedDepth = calculateMaxNamespaceDepth(nestedNs, currentLevel + 1);
-            maxDepth = Math.max(maxDepth, nestedDepth);
-        }
+function initializeLayoutAlgorithmControl() {
+    const algorithmSelect = document.getElementById('layout-algorithm-select');
+    if (!algorithmSelect) {
+        return;
     }
-    
-    return maxDepth;
+
+    const toAlgorithm = (value) => (Object.hasOwn(TREEMAP_LAYOUTS, value) ? value : 'squarified');
+
+    algorithmSelect.value = layoutAlgorithm;
+    algorithmSelect.addEventListener('change', (e) => {
+        layoutAlgorithm = toAlgorithm(e.target.value);
+        updateAspectRatioAvailability();
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    });
+
+    registerHashOption('algorithm', 'squarified', () => layoutAlgorithm, (value) => {
+        layoutAlgorithm = toAlgorithm(value);
+        algorithmSelect.value = layoutAlgorithm;
+        updateAspectRatioAvailability();
+    });
 }
 
 /**
- * Check if any files have methods in a namespace tree.
- * @param {Object} namespace - The namespace to check
- * @returns {boolean} True if any file has methods
+ * Disable the aspect ratio slider while the selected algorithm ignores the limit
+ * (see ASPECT_RATIO_LAYOUTS). The slider keeps its value for the other algorithms.
  */
-function hasMethodsInNamespace(namespace) {
-    if (!namespace) {
-        return false;
-    }
-    
-    // Check files in this namespace
-    if (namespace.files && namespace.files.length > 0) {
-        for (const file of namespace.files) {
-            if (file.methods && file.methods.length > 0) {
-                return true;
-            }
-        }
-    }
-    
-    // Check nested namespaces
-    if (namespace.namespaces && namespace.namespaces.length > 0) {
-        for (const nestedNs of namespace.namespaces) {
-            if (hasMethodsInNamespace(nestedNs)) {
-                return true;
-            }
-        }
+function updateAspectRatioAvailability() {
+    const aspectRatioSlider = document.getElementById('aspect-ratio-slider');
+    if (!aspectRatioSlider) {
+        return;
     }
-    
-    return false;
+
+    const supported = ASPECT_RATIO_LAYOUTS.includes(layoutAlgorithm);
+    aspectRatioSlider.disabled = !supported;
+    aspectRatioSlider.title = supported ? '' : 'This algorithm ignores the aspect ratio limit';
 }
 
 /**
- * Check if any namespace has files in the tree.
- * @param {Object} namespace - The namespace to check
- * @returns {boolean} True if any namespace has files
+ * Initialize the tile order selector (by size, or stable by name).
  */
-function hasFilesInNamespace(namespace) {
-    if (!namespace) {
-        return false;
+function initializeLayoutOrderControl() {
+    const orderSelect = document.getElementById('layout-order-select');
+    if (!orderSelect) {
+        return;
     }
-    
-    // Check files in this namespace
-    if (namespace.files && namespace.files.length > 0) {
-        return true;
+
+    orderSelect.value = layoutOrder;
+    orderSelect.addEventListener('change', (e) => {
+        layoutOrder = e.target.value === 'name' ? 'name' : 'weight';
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    });
+
+    registerHashOption('order', 'weight', () => layoutOrder, (value) => {
+        layoutOrder = value === 'name' ? 'name' : 'weight';
+        orderSelect.value = layoutOrder;
+    });
+}
+
+/**
+ * Initialize the tile shading selector (flat vs. cushion).
+ */
+function initializeTileShadingControl() {
+    const shadingSelect = document.getElementById('tile-shading-select');
+    if (!shadingSelect) {
+        return;
     }
-    
-    // Check nested namespaces
-    if (namespace.namespaces && namespace.namespaces.length > 0) {
-        for (const nestedNs of namespace.namespaces) {
-            if (hasFilesInNamespace(nestedNs)) {
-                return true;
-            }
+
+    shadingSelect.value = tileShading;
+    shadingSelect.addEventListener('change', (e) => {
+        tileShading = e.target.value === 'cushion' ? 'cushion' : 'flat';
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    });
+
+    registerHashOption('shading', 'flat', () => tileShading, (value) => {
+        tileShading = value === 'cushion' ? 'cushion' : 'flat';
+        shadingSelect.value = tileShading;
+    });
+}
+
+/**
+ * Initialize the toggle that hides code with nothing to cover.
+ */
+function initializeNotApplicableControl() {
+    const hideToggle = document.getElementById('hide-na-toggle');
+
+    if (hideToggle) {
+        hideToggle.checked = hideNotApplicable;
+        hideToggle.addEventListener('change', (e) => {
+            hideNotApplicable = e.target.checked;
+            updateLegend();
+            refreshFilteredView();
+        });
+    }
+
+    registerHashOption('na', 'show', () => (hideNotApplicable ? 'hide' : 'show'), (value) => {
+        if ((value === 'hide') === hideNotApplicable) {
+            return;
+        }
+        hideNotApplicable = value === 'hide';
+        applyDataFilters();
+        updateLegend();
+        if (hideToggle) {
+            hideToggle.checked = hideNotApplicable;
         }
+    });
+}
+
+/**
+ * Re-derive currentData after a filter changed and redraw. Goes back to the project when the
+ * namespace or file being viewed was filtered out.
+ */
+function refreshFilteredView() {
+    applyDataFilters();
+    if ((currentView === 'files' && !findNamespaceByName(currentNamespace)) ||
+        (currentView === 'methods' && !findNamespaceForFile(currentFile))) {
+        renderNamespaces();
+        return;
     }
-    
-    return false;
+    updateHashForCurrentView();
+    rerenderCurrentView();
 }
 
 /**
- * Calculate the maximum nesting depth for a single namespace.
- * The depth system works as follows:
- * - 0: Current namespace only (flat list)
- * - 1 to N: Show N levels of nested namespaces (where N is the max namespace nesting depth)
- * - N+1: Show files (if files exist)
- * - N+2: Show methods (if methods exist)
- * 
- * Returns the maximum depth level that should be available in the slider.
+ * Fields of the filter bar: the input, hash key and dataFilters key of each, and how typed
+ * text is parsed (undefined when invalid) and shown again.
  */
-function calculateMaxDepthForNamespace(namespace) {
-    if (!namespace) {
-        return 0;
+const FILTER_FIELDS = [
+    { key: 'minPercent', hashKey: 'covMin', inputId: 'filter-min-percent', parse: parseFilterPercent, format: value => (value === null ? '' : String(value)) },
+    { key: 'maxPercent', hashKey: 'covMax', inputId: 'filter-max-percent', parse: parseFilterPercent, format: value => (value === null ? '' : String(value)) },
+    { key: 'minLines', hashKey: 'minLines', inputId: 'filter-min-lines', parse: parseFilterLines, format: value => (value === 0 ? '' : String(value)) },
+    { key: 'include', hashKey: 'include', inputId: 'filter-include', parse: parseFilterPatterns, format: value => value },
+    { key: 'exclude', hashKey: 'exclude', inputId: 'filter-exclude', parse: parseFilterPatterns, format: value => value },
+];
+
+function parseFilterPercent(text) {
+    const value = text.trim();
+    if (value === '') {
+        return null;
     }
-    
-    // Calculate the actual maximum namespace nesting depth
-    // This tells us how many levels deep the namespace tree goes
-    const maxNamespaceDepth = calculateMaxNamespaceDepth(namespace, 0);
-    
-    // Start with the namespace depth
-    let maxDepthLevel = maxNamespaceDepth;
-    
-    // If we have any nested namespaces, we need at least depth 1 to show them
-    if (maxNamespaceDepth > 0) {
-        maxDepthLevel = maxNamespaceDepth;
+    return isFinite(value) && Number(value) >= 0 && Number(value) <= 100 ? Number(value) : undefined;
+}
+
+function parseFilterLines(text) {
+    const value = text.trim();
+    if (value === '') {
+        return 0;
     }
-    
-    // Check if we have files anywhere in the tree
-    const hasFiles = hasFilesInNamespace(namespace);
-    if (hasFiles) {
-        // Files are shown at maxNamespaceDepth + 1
-        maxDepthLevel = Math.max(maxDepthLevel, maxNamespaceDepth + 1);
+    return /^\d+$/.test(value) ? Number(value) : undefined;
+}
+
+function parseFilterPatterns(text) {
+    return parsePathPatterns(text) === null ? undefined : text.trim();
+}
+
+/**
+ * Initialize the filter bar, which narrows every view down to the files that pass it.
+ */
+function initializeFilterControl() {
+    for (const field of FILTER_FIELDS) {
+        const input = document.getElementById(field.inputId);
+        if (input) {
+            input.value = field.format(dataFilters[field.key]);
+            input.addEventListener('change', (e) => {
+                const value = field.parse(e.target.value);
+                input.classList.toggle('invalid', value === undefined);
+                if (value === undefined) {
+                    return; // Keep the current filter until the input is valid
+                }
+                dataFilters = { ...dataFilters, [field.key]: value };
+                input.value = field.format(value);
+                refreshFilteredView();
+            });
+        }
+
+        registerHashOption(field.hashKey, '', () => field.format(dataFilters[field.key]), (text) => {
+            const value = field.parse(text);
+            if (value === undefined || value === dataFilters[field.key]) {
+                return;
+            }
+            dataFilters = { ...dataFilters, [field.key]: value };
+            applyDataFilters();
+            if (input) {
+                input.value = field.format(value);
+                input.classList.remove('invalid');
+            }
+        });
     }
-    
-    // Check if we have methods anywhere in the tree
-    const hasMethods = hasMethodsInNamespace(namespace);
-    if (hasMethods) {
-        // Methods are shown at maxNamespaceDepth + 2
-        maxDepthLevel = Math.max(maxDepthLevel, maxNamespaceDepth + 2);
+
+    const clear = document.getElementById('filter-clear');
+    if (clear) {
+        clear.addEventListener('click', () => {
+            dataFilters = { ...DEFAULT_DATA_FILTERS };
+            for (const field of FILTER_FIELDS) {
+                const input = document.getElementById(field.inputId);
+                if (input) {
+                    input.value = field.format(dataFilters[field.key]);
+                    input.classList.remove('invalid');
+                }
+            }
+            refreshFilteredView();
+        });
     }
-    
-    return maxDepthLevel;
 }
 
 /**
- * Calculate the maximum nesting depth in the namespace tree.
- * Depth levels:
- * - 0: Top-level namespaces only
- * - 1: Namespaces + nested namespaces (hierarchical)
- * - 2: Namespaces + nested namespaces + files (hierarchical)
- * - 3: Namespaces + nested namespaces + files + methods (hierarchical)
- * 
- * Returns the maximum depth level that should be available in the slider.
+ * Initialize the "size by" selector.
  */
-function calculateMaxDepth(namespaces) {
-    if (!namespaces || namespaces.length === 0) {
-        return 0; // No content, so max depth is 0
+function initializeSizeMetricControl() {
+    const sizeSelect = document.getElementById('size-metric-select');
+    const toMetric = (value) => (Object.hasOwn(SIZE_METRICS, value) ? value : 'coverable');
+
+    if (sizeSelect) {
+        sizeSelect.innerHTML = Object.entries(SIZE_METRICS)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
+        sizeSelect.value = sizeMetric;
+        sizeSelect.addEventListener('change', (e) => {
+            sizeMetric = toMetric(e.target.value);
+            updateHashForCurrentView();
+            rerenderCurrentView();
+        });
     }
-    
-    let maxDepthLevel = 0; // Track the maximum depth level needed
-    
-    for (const ns of namespaces) {
-        const nsDepth = calculateMaxDepthForNamespace(ns);
-        maxDepthLevel = Math.max(maxDepthLevel, nsDepth);
+
+    registerHashOption('size', 'coverable', () => sizeMetric, (value) => {
+        sizeMetric = toMetric(value);
+        if (sizeSelect) {
+            sizeSelect.value = sizeMetric;
+        }
+    });
+}
+
+/**
+ * Initialize the view selector (treemap, sunburst or circle packing).
+ */
+function initializeVisualizationControl() {
+    const viewSelect = document.getElementById('view-select');
+    if (!viewSelect) {
+        return;
     }
-    
-    return maxDepthLevel;
+
+    const toVisualization = (value) => (value === 'sunburst' || value === 'pack' ? value : 'treemap');
+
+    viewSelect.value = visualization;
+    viewSelect.addEventListener('change', (e) => {
+        visualization = toVisualization(e.target.value);
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    });
+
+    registerHashOption('view', 'treemap', () => visualization, (value) => {
+        visualization = toVisualization(value);
+        viewSelect.value = visualization;
+    });
 }
 
 /**
- * Build hierarchical namespace structure for depth-aware rendering.
- * Depth levels:
- * - 0: Top-level namespaces only
- * - 1: Namespaces + nested namespaces (hierarchical)
- * - 2: Namespaces + nested namespaces + files (hierarchical)
- * - 3: Namespaces + nested namespaces + files + methods (hierarchical)
- * @param {Array} namespaces - Array of namespace objects
- * @param {number} maxDepth - Maximum depth to show (0 = top level only)
- * @param {number} currentDepth - Current depth in recursion
- * @returns {Array} Array of nodes with nested children
+ * Lay out nodes, and the children of any node that has them, with the current view settings
+ * and record the layout's distortion. Runs in the layout worker when one can be started,
+ * so dragging the sliders doesn't lock up the page; starting a new layout cancels the previous one.
+ * @param {Array} nodes - Nodes with weight property and optional children
+ * @param {number} width - Container width
+ * @param {number} height - Container height
+ * @returns {Promise<Array|null>} Layout rectangles with absolute positions, parents before their
+ *   children, or null if the layout was cancelled by a newer one
  */
-function buildHierarchicalNamespaces(namespaces, maxDepth, currentDepth = 0) {
-    if (!namespaces || namespaces.length === 0) {
-        return [];
+function layoutTreemap(nodes, width, height) {
+    cancelPendingLayout();
+
+    const options = {
+        mode: layoutMode,
+        algorithm: layoutAlgorithm,
+        order: layoutOrder,
+        padding: TILE_PADDING,
+        headerHeight: TILE_HEADER_HEIGHT,
+    };
+    const layoutSync = () => finishLayout(generateNestedTreemap(nodes, width, height, maxAspectRatio, options));
+
+    const worker = getLayoutWorker();
+    if (!worker) {
+        return Promise.resolve(layoutSync());
     }
-    
-    const nodes = [];
-    
-    for (const ns of namespaces) {
-        const node = {
-            id: ns.name,
-            name: ns.name || 'Root',
-            fullName: ns.name,
-            weight: ns.coverable,
-            coverable: ns.coverable,
-            covered: ns.covered,
-            percent: coveragePercent(ns.covered, ns.coverable),
-            files: ns.files,
-            namespaces: ns.namespaces || [],
-            depth: currentDepth,
-            children: null,
-            type: 'namespace',
-        };
-        
-        const children = [];
-        
-        // Include nested namespaces if they exist and we haven't reached maxDepth yet
-        if (currentDepth < maxDepth && ns.namespaces && ns.namespaces.length > 0) {
-            const nestedNamespaces = buildHierarchicalNamespaces(ns.namespaces, maxDepth, currentDepth + 1);
-            children.push(...nestedNamespaces);
-        }
-        
-        // Include files when there's remaining depth to show another level
-        // (i.e., when currentDepth < maxDepth)
-        if (currentDepth < maxDepth && ns.files && ns.files.length > 0) {
-            for (const file of ns.files) {
-                const fileNode = {
-                    id: file.fullPath || file.name,
-                    name: file.name,
-                    fullName: file.fullPath || file.name,
-                    weight: file.coverable > 0 ? file.coverable : 0.5,
-                    coverable: file.coverable,
-                    covered: file.covered,
-                    percent: coveragePercent(file.covered, file.coverable),
-                    methods: file.methods || [],
-                    depth: currentDepth + 1,
-                    children: null,
-                    type: 'file',
-                };
-                
-                // Include methods only when depth allows going one level deeper past files
-                if (file.methods && file.methods.length > 0 && (currentDepth + 1) < maxDepth) {
-                    fileNode.children = file.methods.map(method => ({
-                        id: method.name,
-                        name: method.name.split('::').pop(),
-                        fullName: method.name,
-                        weight: method.coverable > 0 ? method.coverable : 0.5,
-                        coverable: method.coverable,
-                        covered: method.covered,
-                        percent: coveragePercent(method.covered, method.coverable),
-                        tests: method.tests || [],
-                        depth: currentDepth + 2,
-                        children: null,
-                        type: 'method',
-                    }));
-                }
-                
-                children.push(fileNode);
-            }
-        }
-        
-        if (children.length > 0) {
-            node.children = children;
+
+    const refs = [];
+    const layoutNodes = toLayoutNodes(nodes, refs);
+    const id = ++layoutRequestCount;
+    setLayoutBusy(true);
+    return new Promise(resolve => {
+        pendingLayout = { id, refs, resolve, layoutSync };
+        worker.postMessage({ id, nodes: layoutNodes, width, height, maxAspectRatio, options });
+    });
+}
+
+/**
+ * Record the distortion of a finished layout and describe its group tiles.
+ * @param {Object} result - { tiles, distortion } from generateNestedTreemap
+ * @returns {Array} The tiles
+ */
+function finishLayout({ tiles, distortion }) {
+    layoutDistortion = distortion;
+    for (const tile of tiles) {
+        if (tile.type === 'group') {
+            describeGroupTile(tile);
         }
-        
-        nodes.push(node);
     }
-    
-    return nodes;
+    return tiles;
 }
 
 /**
- * Build hierarchical structure for a namespace's content (files + nested namespaces).
- * This is used when viewing a specific namespace (e.g., #Filament).
- * Depth levels:
- * - 0: Files and nested namespaces shown as flat list
- * - 1: Files shown (flat) + nested namespaces shown hierarchically (if they exist)
- * - 2: Files shown hierarchically + nested namespaces shown hierarchically
- * - 3: Files with methods shown hierarchically + nested namespaces shown hierarchically
- * @param {Object} namespace - The namespace object
- * @param {number} maxDepth - Maximum depth to show
- * @param {number} currentDepth - Current depth in recursion (starts at 0)
- * @returns {Array} Array of nodes with nested children
+ * Copy the fields the layout needs, so only a small tree is sent to the worker.
+ * Each copy gets a `ref` to its node in `refs`.
  */
-function buildHierarchicalNamespaceContent(namespace, maxDepth, currentDepth = 0) {
-    if (!namespace) {
-        return [];
+function toLayoutNodes(nodes, refs) {
+    return nodes.map(node => ({
+        id: node.id,
+        name: node.name,
+        fullName: node.fullName,
+        weight: node.weight,
+        exactWeight: node.exactWeight,
+        depth: node.depth,
+        ref: refs.push(node) - 1,
+        children: node.children && node.children.length > 0 ? toLayoutNodes(node.children, refs) : null,
+    }));
+}
+
+/**
+ * Turn a tile from the worker back into a layout rectangle for the original node.
+ */
+function hydrateLayoutTile(tile, refs) {
+    if (tile.type === 'group') {
+        return { ...tile, groupedNodes: tile.groupedNodes.map(ref => refs[ref]) };
     }
-    
-    const nodes = [];
-    
-    // Add nested namespaces
-    if (namespace.namespaces && namespace.namespaces.length > 0) {
-        for (const ns of namespace.namespaces) {
-            const node = {
-                id: ns.name,
-                name: ns.name.split('/').pop(), // Just the last part
-                fullName: ns.name,
-                weight: ns.coverable,
-                coverable: ns.coverable,
-                covered: ns.covered,
-                percent: coveragePercent(ns.covered, ns.coverable),
-                files: ns.files,
-                namespaces: ns.namespaces || [],
-                depth: currentDepth,
-                children: null,
-                type: 'namespace',
-            };
-            
-            const children = [];
+    return { ...refs[tile.ref], ...tile };
+}
+
+/**
+ * Get the layout worker, starting it from the inlined treemap.js source if needed.
+ * @returns {Worker|null} The worker, or null if workers are unavailable (layout then runs inline)
+ */
+function getLayoutWorker() {
+    if (layoutWorker || layoutWorkerUnavailable) {
+        return layoutWorker;
+    }
+
+    const treemapScript = document.getElementById('treemap-js');
+    if (!treemapScript || typeof Worker === 'undefined' || typeof Blob === 'undefined' ||
+        !window.URL || !URL.createObjectURL) {
+        layoutWorkerUnavailable = true;
+        return null;
+    }
+
+    try {
+        if (!layoutWorkerUrl) {
+            layoutWorkerUrl = URL.createObjectURL(new Blob([treemapScript.textContent], { type: 'text/javascript' }));
+        }
+        layoutWorker = new Worker(layoutWorkerUrl);
+    } catch (e) {
+        // e.g. a Content Security Policy that doesn't allow blob: workers
+        console.error('Layout worker unavailable, laying out on the main thread:', e);
+        layoutWorkerUnavailable = true;
+        return null;
+    }
+
+    layoutWorker.onmessage = (e) => {
+        if (!pendingLayout || e.data.id !== pendingLayout.id) {
+            return; // Answer to a cancelled request
+        }
+        const { refs, resolve } = pendingLayout;
+        pendingLayout = null;
+        setLayoutBusy(false);
+        resolve(finishLayout({
+            tiles: e.data.tiles.map(tile => hydrateLayoutTile(tile, refs)),
+            distortion: e.data.distortion,
+        }));
+    };
+    layoutWorker.onerror = (e) => {
+        console.error('Layout worker failed, laying out on the main thread:', e.message);
+        layoutWorker.terminate();
+        layoutWorker = null;
+        layoutWorkerUnavailable = true;
+        if (pendingLayout) {
+            const { resolve, layoutSync } = pendingLayout;
+            pendingLayout = null;
+            setLayoutBusy(false);
+            resolve(layoutSync());
+        }
+    };
+
+    return layoutWorker;
+}
+
+/**
+ * Cancel the layout in progress, if any. Its promise resolves to null.
+ * The worker is stopped mid-layout and a fresh one is started for the next request.
+ */
+function cancelPendingLayout() {
+    if (!pendingLayout) {
+        return;
+    }
+    pendingLayout.resolve(null);
+    pendingLayout = null;
+    if (layoutWorker) {
+        layoutWorker.terminate();
+        layoutWorker = null;
+    }
+    setLayoutBusy(false);
+}
+
+/**
+ * Show or hide the layout progress indicator over the treemap.
+ */
+function setLayoutBusy(busy) {
+    const progress = document.getElementById('layout-progress');
+    if (progress) {
+        progress.classList.toggle('visible', busy);
+    }
+}
+
+/**
+ * Fill in the coverage figures of a group tile from the nodes merged into it.
+ * @param {Object} tile - Layout rectangle with type 'group' and groupedNodes
+ */
+function describeGroupTile(tile) {
+    tile.coverable = tile.groupedNodes.reduce((sum, node) => sum + (node.coverable || 0), 0);
+    tile.covered = tile.groupedNodes.reduce((sum, node) => sum + (node.covered || 0), 0);
+    tile.percent = coveragePercent(tile.covered, tile.coverable);
+    tile.fullName = tile.name;
+}
+
+/**
+ * Describe how the layout treated a tile: grouped, resized for readability,
+ * or unable to meet the aspect ratio limit.
+ * @param {Object} node - Layout rectangle
+ * @returns {Array<string>} Notes for the tooltip (empty if the tile is exact)
+ */
+function getLayoutNotes(node) {
+    const notes = [];
+    if (node.type === 'group') {
+        notes.push(`Groups ${node.groupedNodes.length} items too small to show within the aspect ratio limit`);
+    }
+    if (node.areaAdjusted) {
+        notes.push('Size adjusted for readability (area not proportional)');
+    }
+    if (node.aspectRatioExceeded) {
+        notes.push(`Aspect ratio ${calculateAspectRatio(node.w, node.h).toFixed(1)} exceeds the limit`);
+    }
+    return notes;
+}
+
+/**
+ * Show the distortion of the current view next to the layout mode selector.
+ */
+function updateDistortionDisplay() {
+    const distortionEl = document.getElementById('layout-distortion');
+    if (!distortionEl) {
+        return;
+    }
+
+    if (!layoutDistortion || layoutDistortion.tileCount === 0) {
+        distortionEl.textContent = '';
+        return;
+    }
+
+    const areaError = layoutDistortion.totalArea > 0
+        ? (layoutDistortion.misallocatedArea / layoutDistortion.totalArea) * 100
+        : 0;
+    const meanAspectRatio = layoutDistortion.aspectSum / layoutDistortion.tileCount;
+    distortionEl.textContent = `Area error: ${areaError.toFixed(1)}% · ` +
+        `Mean aspect ratio: ${meanAspectRatio.toFixed(1)} · ` +
+        `Worst aspect ratio: ${layoutDistortion.worstAspectRatio.toFixed(1)}` +
+        (layoutDistortion.exceededCount > 0 ? ` · ${layoutDistortion.exceededCount} over the limit` : '');
+}
+
+/**
+ * Initialize the depth control slider.
+ */
+function initializeDepthControl() {
+    if (!currentData || !currentData.namespaces) {
+        return;
+    }
+    
+    // Calculate maximum depth
+    maxDepth = calculateMaxDepth(currentData.namespaces);
+    console.log('maxDepth', maxDepth);
+    console.log('currentData.namespaces', currentData.namespaces);
+    
+    // Set up slider
+    const depthControl = document.getElementById('depth-control');
+    const depthSlider = document.getElementById('depth-slider');
+    const depthValue = document.getElementById('depth-value');
+    
+    if (depthControl && depthSlider && depthValue) {
+        // Only show slider if there's content that can be shown at different depths
+        if (maxDepth > 0) {
+            depthControl.style.display = 'block';
+            depthSlider.setAttribute('max', maxDepth);
+            depthSlider.setAttribute('value', currentDepth);
+            depthValue.textContent = getDepthLabel(currentDepth, currentView);
             
-            // Include nested namespaces if they exist and we haven't reached maxDepth yet
-            if (currentDepth < maxDepth && ns.namespaces && ns.namespaces.length > 0) {
-                const nestedContent = buildHierarchicalNamespaceContent(ns, maxDepth, currentDepth + 1);
-                children.push(...nestedContent.filter(n => n.type === 'namespace'));
+            // Add event listener for slider changes
+            depthSlider.addEventListener('input', (e) => {
+                isSliderChanging = true;
+                currentDepth = parseInt(e.target.value, 10);
+                depthValue.textContent = getDepthLabel(currentDepth, currentView);
+                
+                // Re-render if we're on the namespaces view (skip hash update to prevent navigation)
+                if (currentView === 'namespaces') {
+                    renderNamespaces(true);
+                }
+                
+                // Reset flag after a short delay to allow any pending events to complete
+                setTimeout(() => {
+                    isSliderChanging = false;
+                }, 100);
+            });
+        } else {
+            depthControl.style.display = 'none';
+        }
+    }
+}
+
+/**
+ * Calculate the maximum namespace nesting depth (how many levels deep namespaces go).
+ * This counts the actual nesting levels, not including files/methods.
+ * @param {Object} namespace - The namespace to check
+ * @param {number} currentLevel - Current nesting level (starts at 0 for the namespace itself)
+ * @returns {number} Maximum nesting depth found (0 = no nesting, 1 = 1 level deep, etc.)
+ */
+function calculateMaxNamespaceDepth(namespace, currentLevel = 0) {
+    if (!namespace) {
+        return currentLevel;
+    }
+    
+    let maxDepth = currentLevel;
+    
+    // Recursively check nested namespaces
+    if (namespace.namespaces && namespace.namespaces.length > 0) {
+        for (const nestedNs of namespace.namespaces) {
+            const nestedDepth = calculateMaxNamespaceDepth(nestedNs, currentLevel + 1);
+            maxDepth = Math.max(maxDepth, nestedDepth);
+        }
+    }
+    
+    return maxDepth;
+}
+
+/**
+ * Check if any files have methods in a namespace tree.
+ * @param {Object} namespace - The namespace to check
+ * @returns {boolean} True if any file has methods
+ */
+function hasMethodsInNamespace(namespace) {
+    if (!namespace) {
+        return false;
+    }
+    
+    // Check files in this namespace
+    if (namespace.files && namespace.files.length > 0) {
+        for (const file of namespace.files) {
+            if (file.methods && file.methods.length > 0) {
+                return true;
             }
-            
-            // Include files when there's remaining depth to show another level
-            if (currentDepth < maxDepth && ns.files && ns.files.length > 0) {
-                for (const file of ns.files) {
-                    const fileNode = {
-                        id: file.fullPath || file.name,
-                        name: file.name,
-                        fullName: file.fullPath || file.name,
-                        weight: file.coverable > 0 ? file.coverable : 0.5,
-                        coverable: file.coverable,
-                        covered: file.covered,
-                        percent: coveragePercent(file.covered, file.coverable),
-                        methods: file.methods || [],
-                        depth: currentDepth + 1,
-                        children: null,
-                        type: 'file',
-                    };
-                    
-                    // Include methods only when depth allows going one level deeper past files
-                    if (file.methods && file.methods.length > 0 && (currentDepth + 1) < maxDepth) {
-                        fileNode.children = file.methods.map(method => ({
-                            id: method.name,
-                            name: method.name.split('::').pop(),
-                            fullName: method.name,
-                            weight: method.coverable > 0 ? method.coverable : 0.5,
-                            coverable: method.coverable,
-                            covered: method.covered,
-                            percent: coveragePercent(method.covered, method.coverable),
-                            tests: method.tests || [],
-                            depth: currentDepth + 2,
-                            children: null,
-                            type: 'method',
-                        }));
-                    }
-                    
-                    children.push(fileNode);
+        }
+    }
+    
+    // Check nested namespaces
+    if (namespace.namespaces && namespace.namespaces.length > 0) {
+        for (const nestedNs of namespace.namespaces) {
+            if (hasMethodsInNamespace(nestedNs)) {
+                return true;
+            }
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Check if any namespace has files in the tree.
+ * @param {Object} namespace - The namespace to check
+ * @returns {boolean} True if any namespace has files
+ */
+function hasFilesInNamespace(namespace) {
+    if (!namespace) {
+        return false;
+    }
+    
+    // Check files in this namespace
+    if (namespace.files && namespace.files.length > 0) {
+        return true;
+    }
+    
+    // Check nested namespaces
+    if (namespace.namespaces && namespace.namespaces.length > 0) {
+        for (const nestedNs of namespace.namespaces) {
+            if (hasFilesInNamespace(nestedNs)) {
+                return true;
+            }
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Calculate the maximum nesting depth for a single namespace.
+ * The depth system works as follows:
+ * - 0: Current namespace only (flat list)
+ * - 1 to N: Show N levels of nested namespaces (where N is the max namespace nesting depth)
+ * - N+1: Show files (if files exist)
+ * - N+2: Show methods (if methods exist)
+ * 
+ * Returns the maximum depth level that should be available in the slider.
+ */
+function calculateMaxDepthForNamespace(namespace) {
+    if (!namespace) {
+        return 0;
+    }
+    
+    // Calculate the actual maximum namespace nesting depth
+    // This tells us how many levels deep the namespace tree goes
+    const maxNamespaceDepth = calculateMaxNamespaceDepth(namespace, 0);
+    
+    // Start with the namespace depth
+    let maxDepthLevel = maxNamespaceDepth;
+    
+    // If we have any nested namespaces, we need at least depth 1 to show them
+    if (maxNamespaceDepth > 0) {
+        maxDepthLevel = maxNamespaceDepth;
+    }
+    
+    // Check if we have files anywhere in the tree
+    const hasFiles = hasFilesInNamespace(namespace);
+    if (hasFiles) {
+        // Files are shown at maxNamespaceDepth + 1
+        maxDepthLevel = Math.max(maxDepthLevel, maxNamespaceDepth + 1);
+    }
+    
+    // Check if we have methods anywhere in the tree
+    const hasMethods = hasMethodsInNamespace(namespace);
+    if (hasMethods) {
+        // Methods are shown at maxNamespaceDepth + 2
+        maxDepthLevel = Math.max(maxDepthLevel, maxNamespaceDepth + 2);
+    }
+    
+    return maxDepthLevel;
+}
+
+/**
+ * Calculate the maximum nesting depth in the namespace tree.
+ * Depth levels:
+ * - 0: Top-level namespaces only
+ * - 1: Namespaces + nested namespaces (hierarchical)
+ * - 2: Namespaces + nested namespaces + files (hierarchical)
+ * - 3: Namespaces + nested namespaces + files + methods (hierarchical)
+ * 
+ * Returns the maximum depth level that should be available in the slider.
+ */
+function calculateMaxDepth(namespaces) {
+    if (!namespaces || namespaces.length === 0) {
+        return 0; // No content, so max depth is 0
+    }
+    
+    let maxDepthLevel = 0; // Track the maximum depth level needed
+    
+    for (const ns of namespaces) {
+        const nsDepth = calculateMaxDepthForNamespace(ns);
+        maxDepthLevel = Math.max(maxDepthLevel, nsDepth);
+    }
+    
+    return maxDepthLevel;
+}
+
+/**
+ * Build hierarchical namespace structure for depth-aware rendering.
+ * Depth levels:
+ * - 0: Top-level namespaces only
+ * - 1: Namespaces + nested namespaces (hierarchical)
+ * - 2: Namespaces + nested namespaces + files (hierarchical)
+ * - 3: Namespaces + nested namespaces + files + methods (hierarchical)
+ * @param {Array} namespaces - Array of namespace objects
+ * @param {number} maxDepth - Maximum depth to show (0 = top level only)
+ * @param {number} currentDepth - Current depth in recursion
+ * @returns {Array} Array of nodes with nested children
+ */
+function buildHierarchicalNamespaces(namespaces, maxDepth, currentDepth = 0) {
+    if (!namespaces || namespaces.length === 0) {
+        return [];
+    }
+    
+    const nodes = [];
+    
+    for (const ns of namespaces) {
+        const node = {
+            id: ns.name,
+            name: ns.name || 'Root',
+            fullName: ns.name,
+            ...getSizeFields(ns, 'namespace'),
+            coverable: ns.coverable,
+            covered: ns.covered,
+            percent: coveragePercent(ns.covered, ns.coverable),
+            files: ns.files,
+            namespaces: ns.namespaces || [],
+            depth: currentDepth,
+            children: null,
+            type: 'namespace',
+        };
+        
+        const children = [];
+        
+        // Include nested namespaces if they exist and we haven't reached maxDepth yet
+        if (currentDepth < maxDepth && ns.namespaces && ns.namespaces.length > 0) {
+            const nestedNamespaces = buildHierarchicalNamespaces(ns.namespaces, maxDepth, currentDepth + 1);
+            children.push(...nestedNamespaces);
+        }
+        
+        // Include files when there's remaining depth to show another level
+        // (i.e., when currentDepth < maxDepth)
+        if (currentDepth < maxDepth && ns.files && ns.files.length > 0) {
+            for (const file of ns.files) {
+                const fileNode = {
+                    id: file.fullPath || file.name,
+                    name: file.name,
+                    fullName: file.fullPath || file.name,
+                    ...getSizeFields(file, 'file'),
+                    coverable: file.coverable,
+                    covered: file.covered,
+                    percent: coveragePercent(file.covered, file.coverable),
+                    methods: file.methods || [],
+                    depth: currentDepth + 1,
+                    children: null,
+                    type: 'file',
+                };
+                
+                // Include methods only when depth allows going one level deeper past files
+                if (file.methods && file.methods.length > 0 && (currentDepth + 1) < maxDepth) {
+                    fileNode.children = file.methods.map(method => ({
+                        id: method.name,
+                        name: method.name.split('::').pop(),
+                        fullName: method.name,
+                        ...getSizeFields(method, 'method'),
+                        coverable: method.coverable,
+                        covered: method.covered,
+                        percent: coveragePercent(method.covered, method.coverable),
+                        tests: method.tests || [],
+                        filePath: file.fullPath || file.name,
+                        depth: currentDepth + 2,
+                        children: null,
+                        type: 'method',
+                    }));
+                }
+                
+                children.push(fileNode);
+            }
+        }
+        
+        if (children.length > 0) {
+            node.children = children;
+        }
+        
+        nodes.push(node);
+    }
+    
+    return nodes;
+}
+
+/**
+ * Build hierarchical structure for a namespace's content (files + nested namespaces).
+ * This is used when viewing a specific namespace (e.g., #Filament).
+ * Depth levels:
+ * - 0: Files and nested namespaces shown as flat list
+ * - 1: Files shown (flat) + nested namespaces shown hierarchically (if they exist)
+ * - 2: Files shown hierarchically + nested namespaces shown hierarchically
+ * - 3: Files with methods shown hierarchically + nested namespaces shown hierarchically
+ * @param {Object} namespace - The namespace object
+ * @param {number} maxDepth - Maximum depth to show
+ * @param {number} currentDepth - Current depth in recursion (starts at 0)
+ * @returns {Array} Array of nodes with nested children
+ */
+function buildHierarchicalNamespaceContent(namespace, maxDepth, currentDepth = 0) {
+    if (!namespace) {
+        return [];
+    }
+    
+    const nodes = [];
+    
+    // Add nested namespaces
+    if (namespace.namespaces && namespace.namespaces.length > 0) {
+        for (const ns of namespace.namespaces) {
+            const node = {
+                id: ns.name,
+                name: ns.name.split('/').pop(), // Just the last part
+                fullName: ns.name,
+                ...getSizeFields(ns, 'namespace'),
+                coverable: ns.coverable,
+                covered: ns.covered,
+                percent: coveragePercent(ns.covered, ns.coverable),
+                files: ns.files,
+                namespaces: ns.namespaces || [],
+                depth: currentDepth,
+                children: null,
+                type: 'namespace',
+            };
+            
+            const children = [];
+            
+            // Include nested namespaces if they exist and we haven't reached maxDepth yet
+            if (currentDepth < maxDepth && ns.namespaces && ns.namespaces.length > 0) {
+                const nestedContent = buildHierarchicalNamespaceContent(ns, maxDepth, currentDepth + 1);
+                children.push(...nestedContent.filter(n => n.type === 'namespace'));
+            }
+            
+            // Include files when there's remaining depth to show another level
+            if (currentDepth < maxDepth && ns.files && ns.files.length > 0) {
+                for (const file of ns.files) {
+                    const fileNode = {
+                        id: file.fullPath || file.name,
+                        name: file.name,
+                        fullName: file.fullPath || file.name,
+                        ...getSizeFields(file, 'file'),
+                        coverable: file.coverable,
+                        covered: file.covered,
+                        percent: coveragePercent(file.covered, file.coverable),
+                        methods: file.methods || [],
+                        depth: currentDepth + 1,
+                        children: null,
+                        type: 'file',
+                    };
+                    
+                    // Include methods only when depth allows going one level deeper past files
+                    if (file.methods && file.methods.length > 0 && (currentDepth + 1) < maxDepth) {
+                        fileNode.children = file.methods.map(method => ({
+                            id: method.name,
+                            name: method.name.split('::').pop(),
+                            fullName: method.name,
+                            ...getSizeFields(method, 'method'),
+                            coverable: method.coverable,
+                            covered: method.covered,
+                            percent: coveragePercent(method.covered, method.coverable),
+                            tests: method.tests || [],
+                            filePath: file.fullPath || file.name,
+                            depth: currentDepth + 2,
+                            children: null,
+                            type: 'method',
+                        }));
+                    }
+                    
+                    children.push(fileNode);
+                }
+            }
+            
+            if (children.length > 0) {
+                node.children = children;
+            }
+            
+            nodes.push(node);
+        }
+    }
+    
+    // Add files from the current namespace if they exist and depth allows (files are one level deeper)
+    if (currentDepth < maxDepth && namespace.files && namespace.files.length > 0) {
+        for (const file of namespace.files) {
+            const fileNode = {
+                id: file.fullPath || file.name,
+                name: file.name,
+                fullName: file.fullPath || file.name,
+                ...getSizeFields(file, 'file'),
+                coverable: file.coverable,
+                covered: file.covered,
+                percent: coveragePercent(file.covered, file.coverable),
+                methods: file.methods || [],
+                depth: currentDepth,
+                children: null,
+                type: 'file',
+            };
+            
+            // Include methods only when depth allows going one level deeper past files
+            if (file.methods && file.methods.length > 0 && (currentDepth + 1) < maxDepth) {
+                fileNode.children = file.methods.map(method => ({
+                    id: method.name,
+                    name: method.name.split('::').pop(),
+                    fullName: method.name,
+                    ...getSizeFields(method, 'method'),
+                    coverable: method.coverable,
+                    covered: method.covered,
+                    percent: coveragePercent(method.covered, method.coverable),
+                    tests: method.tests || [],
+                    filePath: file.fullPath || file.name,
+                    depth: currentDepth + 1,
+                    children: null,
+                    type: 'method',
+                }));
+            }
+            
+            nodes.push(fileNode);
+        }
+    }
+    
+    return nodes;
+}
+
+/**
+ * Metrics that tiles can be sized by, with labels for the selector.
+ */
+const SIZE_METRICS = {
+    coverable: 'Coverable lines',
+    uncovered: 'Uncovered lines',
+    methods: 'Methods',
+    tests: 'Covering tests',
+};
+
+const entityMetricsCache = new WeakMap();
+
+/**
+ * Compute every size metric for a namespace, file or method from COVERAGE_DATA.
+ * Namespace and file figures are totals over their contents; tests are counted once
+ * however many methods they cover. Results are cached per entity.
+ * @param {Object} entity - Namespace, file or method object from COVERAGE_DATA
+ * @param {string} type - 'namespace', 'file' or 'method'
+ * @returns {Object} { coverable, uncovered, methods, tests } where tests is a Set of test names
+ */
+function getEntityMetrics(entity, type) {
+    const cached = entityMetricsCache.get(entity);
+    if (cached) {
+        return cached;
+    }
+
+    let metrics;
+    if (type === 'method') {
+        metrics = {
+            coverable: entity.coverable || 0,
+            uncovered: Math.max(0, (entity.coverable || 0) - (entity.covered || 0)),
+            methods: 1,
+            tests: new Set(entity.tests || []),
+        };
+    } else {
+        const parts = type === 'file'
+            ? (entity.methods || []).map(method => getEntityMetrics(method, 'method'))
+            : [
+                ...(entity.files || []).map(file => getEntityMetrics(file, 'file')),
+                ...(entity.namespaces || []).map(ns => getEntityMetrics(ns, 'namespace')),
+            ];
+        metrics = {
+            // Line totals come from the report, which also counts lines outside methods
+            coverable: entity.coverable || 0,
+            uncovered: Math.max(0, (entity.coverable || 0) - (entity.covered || 0)),
+            methods: parts.reduce((sum, part) => sum + part.methods, 0),
+            tests: new Set(parts.flatMap(part => [...part.tests])),
+        };
+    }
+
+    entityMetricsCache.set(entity, metrics);
+    return metrics;
+}
+
+/**
+ * Get the value of the selected size metric for an entity.
+ */
+function getSizeValue(entity, type) {
+    const metrics = getEntityMetrics(entity, type);
+    return sizeMetric === 'tests' ? metrics.tests.size : metrics[sizeMetric];
+}
+
+/**
+ * Get the layout weight of an entity for the selected size metric, as node fields.
+ * In readable mode, files and methods with nothing to cover get a small weight so their
+ * not-applicable tile still renders; they are flagged with `areaAdjusted` and keep an
+ * `exactWeight` of 0, so the layout distortion counts their area as misallocated. Anything
+ * else whose metric is zero (e.g. no uncovered lines) gets no tile, as in faithful mode.
+ * @returns {Object} { weight }, plus exactWeight and areaAdjusted when the weight was raised
+ */
+function getSizeFields(entity, type) {
+    const value = getSizeValue(entity, type);
+    if (value > 0 || type === 'namespace' || layoutMode === 'faithful' || entity.coverable) {
+        return { weight: value };
+    }
+    return { weight: 0.5, exactWeight: 0, areaAdjusted: true };
+}
+
+/**
+ * Calculate coverage percentage.
+ * @returns {number|null} Whole percentage, or null when there is nothing to cover
+ */
+function coveragePercent(covered, coverable) {
+    if (!coverable) {
+        return null; // 0/0 is "not applicable", neither 0% nor 100%
+    }
+    return Math.round((covered / coverable) * 100);
+}
+
+/**
+ * Format a percentage from coveragePercent for labels.
+ */
+function formatPercent(percent) {
+    return percent === null ? 'N/A' : `${percent}%`;
+}
+
+/**
+ * Describe a node's coverage for tooltips and details, e.g. "3/4 (75%)".
+ */
+function formatCoverage(node) {
+    if (!node.coverable) {
+        return 'nothing to cover';
+    }
+    return `${node.covered}/${node.coverable} (${formatPercent(node.percent)})`;
+}
+
+/**
+ * Count the covered lines of a namespace, file or method that the highlighted tests reach.
+ * The report lists the tests of each method rather than each line, so a method counts all
+ * of its covered lines once any highlighted test covers it.
+ * @param {Object} entity - Namespace, file or method, or a layout node built from one
+ * @param {string} type - 'namespace', 'file', 'method' or 'group'
+ * @returns {number} Lines reached
+ */
+function getTestReach(entity, type) {
+    const cached = testReachCache.get(entity);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    let reached;
+    if (type === 'method') {
+        reached = (entity.tests || []).some(test => highlightedTests.has(test)) ? entity.covered || 0 : 0;
+    } else if (type === 'group') {
+        reached = (entity.groupedNodes || []).reduce((sum, node) => sum + getTestReach(node, node.type), 0);
+    } else if (type === 'file') {
+        reached = (entity.methods || []).reduce((sum, method) => sum + getTestReach(method, 'method'), 0);
+    } else {
+        reached = (entity.files || []).reduce((sum, file) => sum + getTestReach(file, 'file'), 0) +
+            (entity.namespaces || []).reduce((sum, ns) => sum + getTestReach(ns, 'namespace'), 0);
+    }
+
+    testReachCache.set(entity, reached);
+    return reached;
+}
+
+/**
+ * Whether a tile is dimmed because none of the highlighted tests reach it.
+ */
+function isDimmedByTests(node) {
+    return highlightedTests.size > 0 && getTestReach(node, node.type) === 0;
+}
+
+/**
+ * The figure a tile's label shows: its coverage or, while tests are highlighted, the share
+ * of a namespace or file's code they reach.
+ */
+function getTileValueText(node) {
+    if (highlightedTests.size === 0 || node.type === 'method') {
+        return formatPercent(node.percent);
+    }
+    const reach = coveragePercent(getTestReach(node, node.type), node.coverable);
+    return reach === null ? formatPercent(reach) : `${reach}% reached`;
+}
+
+/**
+ * Copy coverage data without the namespaces, files and methods that have no coverable lines.
+ */
+function withoutNotApplicable(data) {
+    const filterNamespace = ns => ({
+        ...ns,
+        files: (ns.files || [])
+            .filter(file => file.coverable > 0)
+            .map(file => ({ ...file, methods: (file.methods || []).filter(method => method.coverable > 0) })),
+        namespaces: (ns.namespaces || []).filter(child => child.coverable > 0).map(filterNamespace),
+    });
+    return { ...data, namespaces: (data.namespaces || []).filter(ns => ns.coverable > 0).map(filterNamespace) };
+}
+
+/**
+ * Sum the coverable and covered lines of namespaces, files or methods.
+ */
+function sumCoverage(items) {
+    return {
+        coverable: items.reduce((sum, item) => sum + item.coverable, 0),
+        covered: items.reduce((sum, item) => sum + item.covered, 0),
+    };
+}
+
+/**
+ * Copy coverage data keeping only some files. Namespace totals are recounted from what's
+ * left, so aggregates describe the filtered set, and namespaces left empty are dropped.
+ * @param {Object} data - Coverage data
+ * @param {Function} filterFile - (file, namespace) => the file to keep, possibly narrowed, or null
+ */
+function filterCoverageData(data, filterFile) {
+    const isEmpty = ns => ns.files.length === 0 && ns.namespaces.length === 0;
+    const filterNamespace = (ns) => {
+        const files = (ns.files || []).map(file => filterFile(file, ns)).filter(Boolean);
+        const namespaces = (ns.namespaces || []).map(filterNamespace).filter(child => !isEmpty(child));
+        return { ...ns, files, namespaces, ...sumCoverage([...files, ...namespaces]) };
+    };
+    return { ...data, namespaces: (data.namespaces || []).map(filterNamespace).filter(ns => !isEmpty(ns)) };
+}
+
+/**
+ * Copy coverage data keeping only the methods a test covers. File totals are recounted from
+ * the methods kept too, so they describe just the code the test touches.
+ */
+function onlyCoveredBy(data, test) {
+    return filterCoverageData(data, (file) => {
+        const methods = (file.methods || []).filter(method => (method.tests || []).includes(test));
+        return methods.length > 0 ? { ...file, methods, ...sumCoverage(methods) } : null;
+    });
+}
+
+/**
+ * Compile comma-separated path patterns. "/.../flags" is a regular expression; anything else
+ * is a glob, where "*" matches within a path segment, "**" across segments and "?" one
+ * character. A glob without "/" may match any single segment, as in .gitignore.
+ * @param {string} text - Patterns as typed
+ * @returns {Array<Function>|null} A path test per pattern, or null if a regular expression is invalid
+ */
+function parsePathPatterns(text) {
+    const matchers = [];
+    for (const pattern of text.split(',').map(part => part.trim()).filter(Boolean)) {
+        const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            let expression;
+            try {
+                // Without "g", test() doesn't carry state from one path to the next
+                expression = new RegExp(regex[1], regex[2].replace('g', ''));
+            } catch (e) {
+                return null;
+            }
+            matchers.push(path => expression.test(path));
+            continue;
+        }
+
+        const source = pattern.split(/(\*\*|\*|\?)/).map((part) => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        const glob = new RegExp(`^${source}$`, 'i');
+        matchers.push(pattern.includes('/')
+            ? path => glob.test(path)
+            : path => path.split('/').some(segment => glob.test(segment)));
+    }
+    return matchers;
+}
+
+/**
+ * Whether any filter bar condition differs from DEFAULT_DATA_FILTERS.
+ */
+function hasDataFilters() {
+    return Object.keys(DEFAULT_DATA_FILTERS).some(key => dataFilters[key] !== DEFAULT_DATA_FILTERS[key]);
+}
+
+/**
+ * Copy coverage data keeping only the code that passes the filter bar. Paths are matched as
+ * "<namespace>/<file name>", e.g. "Http/Controllers/UserController.php", or just the file
+ * name in the root namespace. The coverage range and minimum size apply to each method of a
+ * file whose path matches, and the file's totals are recounted from the methods kept; files
+ * without methods are judged as a whole. A coverage range leaves out code with nothing to
+ * cover, since it has no percentage.
+ */
+function applyFilterBar(data) {
+    const { minPercent, maxPercent, minLines } = dataFilters;
+    const include = parsePathPatterns(dataFilters.include) || [];
+    const exclude = parsePathPatterns(dataFilters.exclude) || [];
+    const passes = (entity) => {
+        if (entity.coverable < minLines) {
+            return false;
+        }
+        if (minPercent === null && maxPercent === null) {
+            return true;
+        }
+        if (!entity.coverable) {
+            return false;
+        }
+        const percent = (entity.covered / entity.coverable) * 100;
+        return (minPercent === null || percent >= minPercent) && (maxPercent === null || percent < maxPercent);
+    };
+
+    return filterCoverageData(data, (file, ns) => {
+        const path = [ns.name, file.name].filter(Boolean).join('/');
+        if (include.length > 0 && !include.some(matches => matches(path))) {
+            return null;
+        }
+        if (exclude.some(matches => matches(path))) {
+            return null;
+        }
+        if (!file.methods || file.methods.length === 0) {
+            return passes(file) ? file : null;
+        }
+        const methods = file.methods.filter(passes);
+        if (methods.length === file.methods.length) {
+            return file; // Keep the report's totals, which also count lines outside methods
+        }
+        return methods.length > 0 ? { ...file, methods, ...sumCoverage(methods) } : null;
+    });
+}
+
+/**
+ * Count the files in coverage data.
+ */
+function countFiles(data) {
+    const count = ns => (ns.files || []).length + (ns.namespaces || []).reduce((sum, child) => sum + count(child), 0);
+    return (data.namespaces || []).reduce((sum, ns) => sum + count(ns), 0);
+}
+
+/**
+ * Derive the data the views show from COVERAGE_DATA and the active filters.
+ */
+function applyDataFilters() {
+    let data = COVERAGE_DATA;
+    if (scopedTest) {
+        data = onlyCoveredBy(data, scopedTest);
+    }
+    filteredOutFiles = 0;
+    if (hasDataFilters()) {
+        const unfiltered = data;
+        data = applyFilterBar(data);
+        filteredOutFiles = countFiles(unfiltered) - countFiles(data);
+    }
+    if (hideNotApplicable) {
+        data = withoutNotApplicable(data);
+    }
+    currentData = data;
+    searchIndex = null;
+}
+
+// Neutral gray for code with nothing to cover, whatever the palette
+const NOT_APPLICABLE_COLOR = '#9ca3af';
+
+/**
+ * Hatch patterns drawn over tiles: the optional one for the lowest band, and the one that
+ * always marks code with nothing to cover. They lean opposite ways so they can't be confused.
+ */
+const HATCH_PATTERNS = {
+    low: { id: 'low-coverage-pattern', stripe: 'rgba(255, 255, 255, 0.55)', angle: 45 },
+    notApplicable: { id: 'not-applicable-pattern', stripe: 'rgba(55, 65, 81, 0.35)', angle: -45 },
+};
+
+/**
+ * Color palettes, each a ramp from lowest to highest coverage. Bands and gradients are
+ * interpolated along the active palette's ramp.
+ */
+const COVERAGE_PALETTES = {
+    default: { label: 'Red / green', colors: ['#ef4444', '#eab308', '#22c55e'] },
+    // Okabe-Ito vermillion, yellow and blue
+    deuteranopia: { label: 'Deuteranopia-safe', colors: ['#d55e00', '#f0e442', '#0072b2'] },
+    // Orange to purple, which doesn't rely on telling red from green or dark
+    protanopia: { label: 'Protanopia-safe', colors: ['#e66101', '#fdb863', '#5e3c99'] },
+    highContrast: { label: 'High contrast', colors: ['#9b0000', '#ff9f00', '#00338d'] },
+};
+
+/**
+ * Get the color ramp of the active palette.
+ */
+function getColorRamp() {
+    return (COVERAGE_PALETTES[colorPalette] || COVERAGE_PALETTES.default).colors;
+}
+
+/**
+ * Whether a percentage is in the lowest band (below the first threshold), which can be
+ * drawn with a pattern as well as a color.
+ */
+function isLowCoverage(percent) {
+    return percent !== null && colorThresholds.length > 0 && percent < colorThresholds[0];
+}
+
+/**
+ * Get color for coverage percentage, using the active thresholds and scale.
+ * Code with nothing to cover (percent null) gets a neutral gray whatever the palette.
+ */
+function getCoverageColor(percent) {
+    if (percent === null) {
+        return NOT_APPLICABLE_COLOR;
+    }
+    if (colorScale === 'continuous') {
+        return interpolateColorRamp(getColorRamp(), getContinuousScalePosition(percent));
+    }
+    const bandCount = colorThresholds.length + 1;
+    return interpolateColorRamp(getColorRamp(), bandCount > 1 ? getCoverageBand(percent) / (bandCount - 1) : 1);
+}
+
+/**
+ * Get the stepped band a percentage falls in: 0 below the first threshold, up to
+ * colorThresholds.length at or above the last one.
+ */
+function getCoverageBand(percent) {
+    let band = 0;
+    for (const threshold of colorThresholds) {
+        if (percent >= threshold) {
+            band++;
+        }
+    }
+    return band;
+}
+
+/**
+ * Get the coverage percentages that map to the ends and joints of the continuous scale:
+ * the thresholds, or 0 to the single threshold, or 0 to 100 if there are none.
+ */
+function getContinuousScaleAnchors() {
+    if (colorThresholds.length >= 2) {
+        return colorThresholds;
+    }
+    return colorThresholds.length === 1 ? [0, colorThresholds[0]] : [0, 100];
+}
+
+/**
+ * Map a percentage to a position (0-1) along the color ramp for the continuous scale.
+ * The anchors are spread evenly along the ramp, and values between them blend linearly.
+ */
+function getContinuousScalePosition(percent) {
+    const anchors = getContinuousScaleAnchors();
+    const last = anchors.length - 1;
+    if (percent <= anchors[0]) {
+        return 0;
+    }
+    if (percent >= anchors[last]) {
+        return 1;
+    }
+    for (let i = 0; i < last; i++) {
+        if (percent < anchors[i + 1]) {
+            const span = anchors[i + 1] - anchors[i];
+            const fraction = span > 0 ? (percent - anchors[i]) / span : 1;
+            return (i + fraction) / last;
+        }
+    }
+    return 1;
+}
+
+/**
+ * Interpolate a #rrggbb color along a ramp.
+ * @param {Array<string>} ramp - Colors as #rrggbb, evenly spaced from 0 to 1
+ * @param {number} position - Position along the ramp (0-1)
+ * @returns {string} Color as #rrggbb
+ */
+function interpolateColorRamp(ramp, position) {
+    const scaled = Math.min(1, Math.max(0, position)) * (ramp.length - 1);
+    const index = Math.min(ramp.length - 2, Math.floor(scaled));
+    if (index < 0) {
+        return ramp[0];
+    }
+    const fraction = scaled - index;
+    const from = parseInt(ramp[index].slice(1), 16);
+    const to = parseInt(ramp[index + 1].slice(1), 16);
+    const channel = shift => {
+        const a = (from >> shift) & 255;
+        const b = (to >> shift) & 255;
+        return Math.round(a + (b - a) * fraction);
+    };
+    return '#' + ((channel(16) << 16) | (channel(8) << 8) | channel(0)).toString(16).padStart(6, '0');
+}
+
+/**
+ * Parse coverage thresholds from a comma-separated string or an array.
+ * @returns {Array<number>|null} Unique thresholds, ascending, or null if any value isn't a percentage
+ */
+function parseColorThresholds(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const parts = Array.isArray(value) ? value : String(value).split(',').filter(part => part.trim() !== '');
+    const thresholds = [];
+    for (const part of parts) {
+        const threshold = Number(part);
+        if (String(part).trim() === '' || !isFinite(threshold) || threshold < 0 || threshold > 100) {
+            return null;
+        }
+        thresholds.push(threshold);
+    }
+    return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+/**
+ * Format a threshold for labels (no trailing zeros).
+ */
+function formatThreshold(threshold) {
+    return `${Number(threshold.toFixed(2))}%`;
+}
+
+/**
+ * Initialize the threshold input and scale selector.
+ */
+function initializeColorControl() {
+    const thresholdsInput = document.getElementById('color-thresholds-input');
+    const scaleSelect = document.getElementById('color-scale-select');
+
+    const applyColors = () => {
+        updateLegend();
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    };
+
+    if (thresholdsInput) {
+        thresholdsInput.value = colorThresholds.join(', ');
+        thresholdsInput.addEventListener('change', (e) => {
+            const thresholds = parseColorThresholds(e.target.value);
+            thresholdsInput.classList.toggle('invalid', thresholds === null);
+            if (thresholds === null) {
+                return; // Keep the current colors until the input is valid
+            }
+            colorThresholds = thresholds;
+            thresholdsInput.value = colorThresholds.join(', ');
+            applyColors();
+        });
+    }
+
+    if (scaleSelect) {
+        scaleSelect.value = colorScale;
+        scaleSelect.addEventListener('change', (e) => {
+            colorScale = e.target.value === 'continuous' ? 'continuous' : 'stepped';
+            applyColors();
+        });
+    }
+
+    const paletteSelect = document.getElementById('palette-select');
+    const patternToggle = document.getElementById('low-pattern-toggle');
+    const toPalette = (value) => (Object.hasOwn(COVERAGE_PALETTES, value) ? value : 'default');
+    const storedPalette = toPalette(readStoredPreference('palette'));
+    const storedPattern = readStoredPreference('pattern') === 'on';
+
+    if (paletteSelect) {
+        paletteSelect.innerHTML = Object.entries(COVERAGE_PALETTES)
+            .map(([key, palette]) => `<option value="${key}">${palette.label}</option>`)
+            .join('');
+        paletteSelect.value = colorPalette;
+        paletteSelect.addEventListener('change', (e) => {
+            colorPalette = toPalette(e.target.value);
+            storePreference('palette', colorPalette);
+            applyColors();
+        });
+    }
+
+    if (patternToggle) {
+        patternToggle.checked = lowCoveragePattern;
+        patternToggle.addEventListener('change', (e) => {
+            lowCoveragePattern = e.target.checked;
+            storePreference('pattern', lowCoveragePattern ? 'on' : 'off');
+            applyColors();
+        });
+    }
+
+    // A link without these options uses the viewer's saved preference
+    registerHashOption('palette', 'default', () => colorPalette, (value) => {
+        colorPalette = value === 'default' ? storedPalette : toPalette(value);
+        if (paletteSelect) {
+            paletteSelect.value = colorPalette;
+        }
+        updateLegend();
+    });
+    registerHashOption('pattern', 'off', () => (lowCoveragePattern ? 'on' : 'off'), (value) => {
+        lowCoveragePattern = value === 'off' ? storedPattern : value === 'on';
+        if (patternToggle) {
+            patternToggle.checked = lowCoveragePattern;
+        }
+        updateLegend();
+    });
+
+    registerHashOption('thresholds', defaultColorThresholds.join(','), () => colorThresholds.join(','), (value) => {
+        colorThresholds = parseColorThresholds(value) || defaultColorThresholds;
+        if (thresholdsInput) {
+            thresholdsInput.value = colorThresholds.join(', ');
+            thresholdsInput.classList.remove('invalid');
+        }
+        updateLegend();
+    });
+    registerHashOption('scale', defaultColorScale, () => colorScale, (value) => {
+        colorScale = value === 'continuous' ? 'continuous' : value === 'stepped' ? 'stepped' : defaultColorScale;
+        if (scaleSelect) {
+            scaleSelect.value = colorScale;
+        }
+        updateLegend();
+    });
+
+    updateLegend();
+}
+
+/**
+ * Read a preference saved in localStorage (null if missing or storage is unavailable).
+ */
+function readStoredPreference(key) {
+    try {
+        return window.localStorage.getItem(`coverageTreemap.${key}`);
+    } catch (e) {
+        return null; // Storage can be disabled, e.g. for file:// pages in some browsers
+    }
+}
+
+/**
+ * Save a preference in localStorage, ignoring storage errors.
+ */
+function storePreference(key, value) {
+    try {
+        window.localStorage.setItem(`coverageTreemap.${key}`, value);
+    } catch (e) {
+        // Not persisted; the hash still carries the setting
+    }
+}
+
+/**
+ * Add a hatch pattern from HATCH_PATTERNS to an SVG (once per drawing).
+ */
+function ensureHatchPattern(svg, hatch) {
+    if (svg.querySelector(`#${hatch.id}`)) {
+        return;
+    }
+    const ns = 'http://www.w3.org/2000/svg';
+    const defs = document.createElementNS(ns, 'defs');
+    const pattern = document.createElementNS(ns, 'pattern');
+    pattern.setAttribute('id', hatch.id);
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', '8');
+    pattern.setAttribute('height', '8');
+    pattern.setAttribute('patternTransform', `rotate(${hatch.angle})`);
+    const stripe = document.createElementNS(ns, 'rect');
+    stripe.setAttribute('width', '3');
+    stripe.setAttribute('height', '8');
+    stripe.setAttribute('fill', hatch.stripe);
+    pattern.appendChild(stripe);
+    defs.appendChild(pattern);
+    svg.insertBefore(defs, svg.firstChild);
+}
+
+/**
+ * Get the hatch pattern a shape with this coverage should carry, if any: always for code
+ * with nothing to cover, and for the lowest band when that pattern is enabled.
+ */
+function getHatchPattern(percent) {
+    if (percent === null) {
+        return HATCH_PATTERNS.notApplicable;
+    }
+    return lowCoveragePattern && isLowCoverage(percent) ? HATCH_PATTERNS.low : null;
+}
+
+/**
+ * Hatch a shape (tile, arc or circle) if its coverage calls for a pattern, by drawing a
+ * patterned copy of it on top.
+ * @param {SVGElement} svg - SVG the shape was added to
+ * @param {SVGElement} shape - The shape, already appended
+ * @param {number|null} percent - Coverage percentage of the shape
+ */
+function appendCoveragePattern(svg, shape, percent) {
+    const hatch = getHatchPattern(percent);
+    if (!hatch) {
+        return;
+    }
+    ensureHatchPattern(svg, hatch);
+    const overlay = shape.cloneNode(false);
+    for (const name of overlay.getAttributeNames()) {
+        if (name === 'class' || name === 'tabindex' || name === 'role' || name.startsWith('data-') || name.startsWith('aria-')) {
+            overlay.removeAttribute(name);
+        }
+    }
+    overlay.setAttribute('aria-hidden', 'true');
+    overlay.setAttribute('fill', `url(#${hatch.id})`);
+    overlay.setAttribute('fill-opacity', '1');
+    overlay.setAttribute('stroke', 'none');
+    overlay.setAttribute('pointer-events', 'none');
+    if (shape.classList.contains('test-dimmed')) {
+        overlay.classList.add('test-dimmed');
+    }
+    shape.after(overlay);
+}
+
+/**
+ * Redraw the legend so it matches the active palette, thresholds and scale.
+ */
+function updateLegend() {
+    const legend = document.getElementById('legend');
+    if (!legend) {
+        return;
+    }
+
+    legend.innerHTML = '<span>Coverage:</span>';
+    if (colorScale === 'continuous') {
+        // Sample the scale itself so the gradient can't drift from the tile colors
+        const stops = [];
+        for (let percent = 0; percent <= 100; percent += 2) {
+            stops.push(`${getCoverageColor(percent)} ${percent}%`);
+        }
+        const gradient = document.createElement('div');
+        gradient.className = 'legend-gradient';
+        gradient.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        for (const anchor of [...new Set([0, ...getContinuousScaleAnchors(), 100])]) {
+            const tick = document.createElement('span');
+            tick.className = 'legend-tick';
+            tick.style.left = `${anchor}%`;
+            tick.textContent = formatThreshold(anchor);
+            gradient.appendChild(tick);
+        }
+        legend.appendChild(gradient);
+        if (lowCoveragePattern && colorThresholds.length > 0) {
+            const item = document.createElement('span');
+            item.className = 'legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch low-pattern';
+            swatch.style.backgroundColor = getCoverageColor(0);
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(`Hatched: < ${formatThreshold(colorThresholds[0])}`));
+            legend.appendChild(item);
+        }
+        appendNotApplicableLegendItem(legend);
+        return;
+    }
+
+    for (let band = 0; band <= colorThresholds.length; band++) {
+        const low = colorThresholds[band - 1];
+        const high = colorThresholds[band];
+        let label;
+        if (colorThresholds.length === 0) {
+            label = 'All';
+        } else if (low === undefined) {
+            label = `< ${formatThreshold(high)}`;
+        } else if (high === undefined) {
+            label = `≥ ${formatThreshold(low)}`;
+        } else {
+            label = `${formatThreshold(low)} – < ${formatThreshold(high)}`;
+        }
+
+        const item = document.createElement('span');
+        item.className = 'legend-item';
+        const swatch = document.createElement('span');
+        swatch.className = band === 0 && lowCoveragePattern && colorThresholds.length > 0
+            ? 'legend-swatch low-pattern'
+            : 'legend-swatch';
+        swatch.style.backgroundColor = getCoverageColor(low === undefined ? -1 : low);
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(label));
+        legend.appendChild(item);
+    }
+    appendNotApplicableLegendItem(legend);
+}
+
+/**
+ * Add the legend entry for code with nothing to cover, unless such code is hidden.
+ */
+function appendNotApplicableLegendItem(legend) {
+    if (hideNotApplicable) {
+        return;
+    }
+    const item = document.createElement('span');
+    item.className = 'legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch not-applicable';
+    swatch.style.backgroundColor = NOT_APPLICABLE_COLOR;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode('N/A: nothing to cover'));
+    legend.appendChild(item);
+}
+
+/**
+ * Darken a #rrggbb color, used for the frame and header strip of parent tiles.
+ * @param {string} color - Color as #rrggbb
+ * @param {number} amount - Fraction to darken by (0-1)
+ * @returns {string} CSS rgb() color
+ */
+function darkenColor(color, amount) {
+    const value = parseInt(color.slice(1), 16);
+    const channel = shift => Math.round(((value >> shift) & 255) * (1 - amount));
+    return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+/**
+ * Render namespace-level treemap.
+ * @param {boolean} skipHashUpdate - If true, don't update the hash (useful for slider changes)
+ */
+function renderNamespaces(skipHashUpdate = false) {
+    currentView = 'namespaces';
+    currentNamespace = null;
+    currentFile = null;
+    currentMethod = null;
+    layoutDistortion = null;
+    cancelPendingLayout();
+
+    // Show depth slider when viewing namespaces (if max depth > 0)
+    const depthControl = document.getElementById('depth-control');
+    const depthSlider = document.getElementById('depth-slider');
+    const depthValue = document.getElementById('depth-value');
+    if (depthControl && depthSlider && depthValue && maxDepth > 0) {
+        depthControl.style.display = 'block';
+        depthSlider.setAttribute('max', maxDepth);
+        depthSlider.setAttribute('value', currentDepth);
+        // Update depth label when switching to namespaces view
+        depthValue.textContent = getDepthLabel(currentDepth, 'namespaces');
+        
+        // Only replace slider if not currently being dragged (to preserve mouse capture)
+        if (!isSliderChanging) {
+            // Remove existing event listeners by cloning (clean way to remove all listeners)
+            const newSlider = depthSlider.cloneNode(true);
+            depthSlider.parentNode.replaceChild(newSlider, depthSlider);
+            
+            // Add event listener for namespaces view
+            newSlider.addEventListener('input', (e) => {
+                isSliderChanging = true;
+                currentDepth = parseInt(e.target.value, 10);
+                const depthValueEl = document.getElementById('depth-value');
+                if (depthValueEl) {
+                    depthValueEl.textContent = getDepthLabel(currentDepth, 'namespaces');
+                }
+                // Update hash with new depth (but don't trigger navigation)
+                updateHash(null, null, { depth: currentDepth });
+                // Re-render namespaces view with new depth (skip hash update to prevent navigation)
+                renderNamespaces(true);
+                
+                // Reset flag after a short delay to allow any pending events to complete
+                setTimeout(() => {
+                    isSliderChanging = false;
+                }, 100);
+            });
+        }
+    } else if (depthControl && maxDepth > 0) {
+        depthControl.style.display = 'block';
+        // Update depth label when switching to namespaces view
+        if (depthValue) {
+            depthValue.textContent = getDepthLabel(currentDepth, 'namespaces');
+        }
+    }
+
+    // Update hash (unless we're just re-rendering due to slider change)
+    if (!skipHashUpdate) {
+        updateHash(null, null);
+    }
+
+    const svg = document.getElementById('treemap-svg');
+    const breadcrumb = document.getElementById('breadcrumb');
+
+    breadcrumb.innerHTML = '<span>Project</span>';
+
+    showSvgRenderer(svg);
+    const { width, height } = getSvgSize(svg);
+
+    if (width <= 0 || height <= 0) {
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle">Unable to determine SVG dimensions</text>';
+        return;
+    }
+
+    if (currentData.namespaces.length === 0) {
+        previousDrawing = null;
+        focusTargets = [];
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">Nothing matches the current filters</text>';
+        updateStats();
+        return;
+    }
+
+    if (visualization !== 'treemap') {
+        const total = currentData.namespaces.reduce((sum, ns) => ({
+            covered: sum.covered + ns.covered,
+            coverable: sum.coverable + ns.coverable,
+        }), { covered: 0, coverable: 0 });
+        renderHierarchyView(svg, buildHierarchicalNamespaces(currentData.namespaces, Infinity), width, height, {
+            name: 'Project',
+            ...total,
+            percent: coveragePercent(total.covered, total.coverable),
+        });
+        return;
+    }
+
+    // Use depth-aware hierarchical structure if depth > 0
+    let nodes;
+    if (currentDepth > 0) {
+        nodes = buildHierarchicalNamespaces(currentData.namespaces, currentDepth, 0);
+    } else {
+        // Depth 0: show only top-level namespaces (original behavior)
+        nodes = currentData.namespaces.map(ns => ({
+            id: ns.name,
+            name: ns.name || 'Root',
+            fullName: ns.name,
+            ...getSizeFields(ns, 'namespace'),
+            coverable: ns.coverable,
+            covered: ns.covered,
+            percent: coveragePercent(ns.covered, ns.coverable),
+            files: ns.files,
+            namespaces: ns.namespaces || [],
+            depth: 0,
+            children: null,
+            type: 'namespace',
+        }));
+    }
+
+    layoutTreemap(nodes, width, height).then(tiles => {
+        if (!tiles) {
+            return; // Superseded by a newer render
+        }
+        drawTreemap(svg, tiles, width, height);
+        updateStats();
+    });
+}
+
+/**
+ * Render file-level treemap for a namespace.
+ * @param {boolean} skipHashUpdate - If true, don't update the hash (useful for resize)
+ */
+function renderFiles(namespaceName, files, skipHashUpdate = false) {
+    currentView = 'files';
+    currentNamespace = namespaceName;
+    currentFile = null;
+    currentMethod = null;
+    layoutDistortion = null;
+    cancelPendingLayout();
+
+    // Calculate max depth for this namespace and show depth control if needed
+    const namespaceForDepth = findNamespaceByName(namespaceName);
+    let namespaceMaxDepth = 0;
+    if (namespaceForDepth) {
+        namespaceMaxDepth = calculateMaxDepthForNamespace(namespaceForDepth);
+    }
+    
+    const depthControl = document.getElementById('depth-control');
+    const depthSlider = document.getElementById('depth-slider');
+    const depthValue = document.getElementById('depth-value');
+    
+    if (depthControl && depthSlider && depthValue) {
+        if (namespaceMaxDepth > 0) {
+            depthControl.style.display = 'block';
+            depthSlider.setAttribute('max', namespaceMaxDepth);
+            depthSlider.setAttribute('value', currentDepth);
+            depthValue.textContent = getDepthLabel(currentDepth, 'files');
+            
+            // Only replace slider if not currently being dragged (to preserve mouse capture)
+            if (!isSliderChanging) {
+                // Remove existing event listeners by cloning (clean way to remove all listeners)
+                const newSlider = depthSlider.cloneNode(true);
+                depthSlider.parentNode.replaceChild(newSlider, depthSlider);
+                
+                // Add new event listener
+                newSlider.addEventListener('input', (e) => {
+                    isSliderChanging = true;
+                    currentDepth = parseInt(e.target.value, 10);
+                    const depthValueEl = document.getElementById('depth-value');
+                    if (depthValueEl) {
+                        depthValueEl.textContent = getDepthLabel(currentDepth, 'files');
+                    }
+                    // Update hash with new depth (but don't trigger navigation)
+                    updateHash(namespaceName, null, { depth: currentDepth });
+                    // Re-render files view with new depth
+                    renderFiles(namespaceName, files, true);
+                    
+                    // Reset flag after a short delay to allow any pending events to complete
+                    setTimeout(() => {
+                        isSliderChanging = false;
+                    }, 100);
+                });
+            }
+        } else {
+            depthControl.style.display = 'none';
+        }
+    }
+
+    // Update hash (unless we're just re-rendering due to resize)
+    if (!skipHashUpdate) {
+        updateHash(namespaceName, null);
+    }
+
+    const svg = document.getElementById('treemap-svg');
+    const breadcrumb = document.getElementById('breadcrumb');
+    
+    // If files weren't provided, find them from the namespace structure
+    if (!files || files.length === 0) {
+        const namespace = findNamespaceByName(namespaceName);
+        if (namespace) {
+            files = namespace.files || [];
+        }
+    }
+
+    // Build breadcrumb with parent namespaces
+    const namespaceParts = namespaceName ? namespaceName.split('/') : [];
+    let breadcrumbHtml = `<a href="${buildHash(null, null, { depth: 0 })}" style="color: #3b82f6; text-decoration: none;">Project</a>`;
+    
+    if (namespaceParts.length > 0) {
+        namespaceParts.forEach((part, index) => {
+            const parentPath = namespaceParts.slice(0, index + 1).join('/');
+            const parentHash = buildHash(parentPath, null, { depth: 0 });
+            if (index < namespaceParts.length - 1) {
+                // Parent namespace - make it clickable
+                breadcrumbHtml += ` / <a href="${parentHash}" style="color: #3b82f6; text-decoration: none;">${part}</a>`;
+            } else {
+                // Current namespace - not clickable
+                breadcrumbHtml += ` / <span>${part}</span>`;
+            }
+        });
+    }
+    
+    breadcrumb.innerHTML = breadcrumbHtml;
+
+    showSvgRenderer(svg);
+    const { width, height } = getSvgSize(svg);
+
+    if (width <= 0 || height <= 0) {
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle">Unable to determine SVG dimensions</text>';
+        return;
+    }
+
+    // Get namespace for rendering
+    const namespaceForRender = namespaceForDepth || findNamespaceByName(namespaceName);
+    const nestedNamespaces = namespaceForRender?.namespaces || [];
+    
+    // Check if we have anything to show (files or nested namespaces)
+    if ((!files || files.length === 0) && nestedNamespaces.length === 0) {
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">No files or sub-namespaces in this namespace</text>';
+        updateStats();
+        return;
+    }
+    
+    if (visualization !== 'treemap' && namespaceForRender) {
+        renderHierarchyView(svg, buildHierarchicalNamespaceContent(namespaceForRender, Infinity), width, height, {
+            name: namespaceName.split('/').pop(),
+            covered: namespaceForRender.covered,
+            coverable: namespaceForRender.coverable,
+            percent: coveragePercent(namespaceForRender.covered, namespaceForRender.coverable),
+        });
+        return;
+    }
+
+    // Use hierarchical structure if depth > 0, otherwise use flat structure
+    let allNodes = [];
+    if (currentDepth > 0 && namespaceForRender) {
+        // Build hierarchical structure
+        allNodes = buildHierarchicalNamespaceContent(namespaceForRender, currentDepth, 0);
+    } else {
+        // Depth 0: Flat structure (original behavior)
+        // Add files as nodes
+        if (files && files.length > 0) {
+            files.forEach(file => {
+                allNodes.push({
+                    id: file.fullPath || file.name,
+                    name: file.name,
+                    fullName: file.fullPath || file.name,
+                    ...getSizeFields(file, 'file'),
+                    coverable: file.coverable,
+                    covered: file.covered,
+                    percent: coveragePercent(file.covered, file.coverable),
+                    methods: file.methods,
+                    depth: 0,
+                    children: null,
+                    type: 'file',
+                });
+            });
+        }
+        
+        // Add nested namespaces as nodes
+        nestedNamespaces.forEach(ns => {
+            allNodes.push({
+                id: ns.name,
+                name: ns.name.split('/').pop(),
+                fullName: ns.name,
+                ...getSizeFields(ns, 'namespace'),
+                coverable: ns.coverable,
+                covered: ns.covered,
+                percent: coveragePercent(ns.covered, ns.coverable),
+                files: ns.files,
+                namespaces: ns.namespaces || [],
+                depth: 0,
+                children: null,
+                type: 'namespace',
+            });
+        });
+    }
+    
+    // Handle empty case
+    if (allNodes.length === 0) {
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">No files or sub-namespaces in this namespace</text>';
+        updateStats();
+        return;
+    }
+
+    layoutTreemap(allNodes, width, height).then(tiles => {
+        if (!tiles) {
+            return; // Superseded by a newer render
+        }
+        drawTreemap(svg, tiles, width, height);
+        updateStats();
+    });
+}
+
+/**
+ * Render method-level treemap for a file.
+ * @param {boolean} skipHashUpdate - If true, don't update the hash (useful for resize)
+ */
+function renderMethods(fileName, methods, skipHashUpdate = false) {
+    if (fileName !== currentFile) {
+        currentMethod = null;
+    }
+    currentView = 'methods';
+    currentFile = fileName;
+    layoutDistortion = null;
+    cancelPendingLayout();
+
+    // Hide depth slider when viewing methods
+    const depthControl = document.getElementById('depth-control');
+    if (depthControl) {
+        depthControl.style.display = 'none';
+    }
+
+    // Ensure we have a namespace - if not, try to find it from the file
+    if (!currentNamespace) {
+        // Try to find which namespace contains this file
+        for (const ns of currentData.namespaces) {
+            const fileObj = ns.files.find(f => 
+                (f.fullPath || f.name) === fileName || f.name === fileName
+            );
+            if (fileObj) {
+                currentNamespace = ns.name;
+                break;
+            }
+        }
+    }
+
+    // Update hash - need to find the file's actual name
+    const fileObj = currentNamespace ? 
+        currentData.namespaces.find(ns => ns.name === currentNamespace)?.files.find(f => 
+            (f.fullPath || f.name) === fileName || f.name === fileName
+        ) : null;
+    const fileDisplayName = fileObj ? fileObj.name : fileName.split('/').pop();
+    
+    updateHash(currentNamespace, fileDisplayName, { method: currentMethod });
+
+    const svg = document.getElementById('treemap-svg');
+    const breadcrumb = document.getElementById('breadcrumb');
+
+    // Build breadcrumb with nested namespaces properly split
+    let breadcrumbHtml = `<a href="${buildHash(null, null, { depth: 0 })}" style="color: #3b82f6; text-decoration: none;">Project</a>`;
+    
+    if (currentNamespace) {
+        // Split namespace into parts (e.g., "Models/Ingredients" -> ["Models", "Ingredients"])
+        const namespaceParts = currentNamespace.split('/');
+        namespaceParts.forEach((part, index) => {
+            const parentPath = namespaceParts.slice(0, index + 1).join('/');
+            const parentHash = buildHash(parentPath, null, { depth: 0 });
+            // All namespace parts are clickable links
+            breadcrumbHtml += ` / <a href="${parentHash}" style="color: #3b82f6; text-decoration: none;">${part}</a>`;
+        });
+    }
+    
+    // Add the file name as the final non-clickable part (use the already declared fileDisplayName)
+    breadcrumb.innerHTML = breadcrumbHtml + ` / <span>${fileDisplayName}</span>`;
+
+    // Update hash (unless we're just re-rendering due to resize)
+    if (!skipHashUpdate) {
+        updateHash(currentNamespace, fileDisplayName, { method: currentMethod });
+    }
+
+    showSvgRenderer(svg);
+    const { width, height } = getSvgSize(svg);
+
+    // Ensure valid dimensions
+    if (width <= 0 || height <= 0) {
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle">Unable to determine SVG dimensions</text>';
+        return;
+    }
+
+    // Check if we have any methods
+    if (!methods || methods.length === 0) {
+        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">No methods found in this file</text>';
+        updateStats();
+        return;
+    }
+
+    // Map methods to nodes, sized by the selected metric (see getSizeFields)
+    const nodes = methods.map(method => ({
+        id: method.name,
+        name: method.name.split('::').pop(),
+        fullName: method.name,
+        ...getSizeFields(method, 'method'),
+        coverable: method.coverable,
+        covered: method.covered,
+        percent: coveragePercent(method.covered, method.coverable),
+        tests: method.tests || [],
+        filePath: fileName,
+        type: 'method',
+    }));
+
+    if (visualization !== 'treemap') {
+        const covered = methods.reduce((sum, method) => sum + method.covered, 0);
+        const coverable = methods.reduce((sum, method) => sum + method.coverable, 0);
+        renderHierarchyView(svg, nodes, width, height, {
+            name: fileDisplayName,
+            covered,
+            coverable,
+            percent: coveragePercent(covered, coverable),
+        });
+        return;
+    }
+
+    layoutTreemap(nodes, width, height).then(tiles => {
+        if (!tiles) {
+            return; // Superseded by a newer render
+        }
+
+        // If no layout generated, show a message
+        if (tiles.length === 0) {
+            svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">Unable to generate treemap layout</text>';
+            updateStats();
+            return;
+        }
+
+        drawTreemap(svg, tiles, width, height);
+        updateStats();
+    });
+}
+
+/**
+ * Draw the current scope with the selected non-treemap view.
+ * @param {SVGElement} svg - Target SVG element, already sized by getSvgSize
+ * @param {Array} nodes - Hierarchy of the current scope, as built by buildHierarchicalNamespaceContent
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {Object} center - { name, covered, coverable, percent } of the current scope
+ */
+function renderHierarchyView(svg, nodes, width, height, center) {
+    cancelTreemapTransition();
+    previousDrawing = null; // Only treemap drawings are animated
+    const depthControl = document.getElementById('depth-control');
+    if (depthControl) {
+        depthControl.style.display = 'none'; // These views always show every level
+    }
+
+    if (visualization === 'pack') {
+        renderCirclePacking(svg, nodes, width, height);
+    } else {
+        renderSunburst(svg, nodes, width, height, center);
+    }
+    finishTileDrawing();
+}
+
+/**
+ * Draw a hierarchy as nested circles, with leaf areas proportional to coverable lines.
+ * Clicking a namespace or file zooms to its circle and then drills into it; clicking
+ * outside the circles goes up a level.
+ * @param {SVGElement} svg - Target SVG element, already sized by getSvgSize
+ * @param {Array} nodes - Nodes with weight property and optional children
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ */
+function renderCirclePacking(svg, nodes, width, height) {
+    const ns = 'http://www.w3.org/2000/svg';
+    svg.innerHTML = '';
+    focusTargets = [];
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    // Background: click to go up
+    const background = document.createElementNS(ns, 'rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', 'transparent');
+    if (currentView !== 'namespaces') {
+        background.style.cursor = 'zoom-out';
+        background.addEventListener('click', () => navigateUp());
+    }
+    svg.appendChild(background);
+
+    const labels = [];
+    for (const node of layoutCirclePacking(nodes, width, height, { order: layoutOrder })) {
+        if (!isFinite(node.x) || !isFinite(node.y) || !(node.r >= 0.5)) {
+            continue;
+        }
+
+        const isParent = node.children && node.children.length > 0;
+        const color = getCoverageColor(node.percent);
+        const circle = document.createElementNS(ns, 'circle');
+        circle.setAttribute('cx', node.x);
+        circle.setAttribute('cy', node.y);
+        circle.setAttribute('r', node.r);
+        circle.setAttribute('fill', color);
+        // Parents are light so their children stand out
+        circle.setAttribute('fill-opacity', isParent ? '0.2' : '1');
+        circle.setAttribute('stroke', isParent ? darkenColor(color, 0.25) : '#fff');
+        circle.setAttribute('stroke-width', '1');
+        circle.classList.add('treemap-rect');
+        circle.style.cursor = 'pointer';
+        setTileDataset(circle, node);
+        dimForTests(circle, node);
+        addFocusTarget(circle, node, node.x, node.y);
+        circle.addEventListener('mouseenter', (e) => {
+            showTooltip(node, e);
+        });
+        circle.addEventListener('mouseleave', () => {
+            hideTooltip();
+        });
+        circle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (isSliderChanging) {
+                return;
+            }
+            hideTooltip();
+            if (node.type === 'namespace' || (node.type === 'file' && node.methods && node.methods.length > 0)) {
+                zoomToCircle(svg, node, () => {
+                    // Skip if another view was drawn while zooming
+                    if (circle.isConnected) {
+                        activateTile(node);
+                    }
+                });
+            } else {
+                activateTile(node);
+            }
+        });
+        svg.appendChild(circle);
+        appendCoveragePattern(svg, circle, node.percent);
+
+        const displayName = getTileDisplayName(node);
+        if (isParent && node.r > 40) {
+            // Parent name along the top edge, inside the circle (dark text on the light fill)
+            const line = fitHeaderLabel(displayName, getTileValueText(node), node.r, 11);
+            if (line) {
+                labels.push(dimForTests(createSvgLabel({ fontSize: 11, lines: [line] }, node.x, node.y - node.r + 14, '#374151'), node));
+            }
+        } else if (!isParent) {
+            // Fit inside the square inscribed in the circle
+            const side = node.r * Math.SQRT2;
+            const fit = fitTileLabel([displayName, getTileValueText(node)], side, side);
+            if (fit) {
+                labels.push(dimForTests(createSvgLabel(fit, node.x, node.y, getContrastTextColor(color)), node));
+            }
+        }
+    }
+    labels.forEach(label => svg.appendChild(label));
+
+    updateStats();
+}
+
+/**
+ * Animate the SVG viewBox so a circle fills the view, then call done.
+ */
+function zoomToCircle(svg, circle, done) {
+    const from = (svg.getAttribute('viewBox') || '').split(' ').map(Number);
+    if (from.length !== 4 || from.some(value => !isFinite(value)) || !window.requestAnimationFrame ||
+        prefersReducedMotion()) {
+        done();
+        return;
+    }
+
+    // Keep the view's aspect ratio so the circle ends up centered
+    const aspect = from[2] / from[3];
+    const size = circle.r * 2;
+    const toWidth = aspect >= 1 ? size * aspect : size;
+    const toHeight = aspect >= 1 ? size : size / aspect;
+    const to = [circle.x - toWidth / 2, circle.y - toHeight / 2, toWidth, toHeight];
+
+    const duration = 300;
+    const start = performance.now();
+    const step = (now) => {
+        const t = Math.min(1, (now - start) / duration);
+        const eased = t * (2 - t);
+        svg.setAttribute('viewBox', from.map((value, i) => value + (to[i] - value) * eased).join(' '));
+        if (t < 1) {
+            requestAnimationFrame(step);
+        } else {
+            done();
+        }
+    };
+    requestAnimationFrame(step);
+}
+
+/**
+ * Draw a hierarchy as a sunburst: the center is the current scope, and each ring outwards is
+ * one level further down (namespaces, then files, then methods). Clicking an arc drills in
+ * like clicking a tile, and clicking the center goes up a level.
+ * @param {SVGElement} svg - Target SVG element, already sized by getSvgSize
+ * @param {Array} nodes - Nodes with weight property and optional children
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {Object} center - { name, covered, coverable, percent } of the current scope
+ */
+function renderSunburst(svg, nodes, width, height, center) {
+    const ns = 'http://www.w3.org/2000/svg';
+    svg.innerHTML = '';
+    focusTargets = [];
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    const arcs = layoutSunburst(nodes, { order: layoutOrder });
+    const ringCount = arcs.reduce((max, arc) => Math.max(max, arc.ring + 1), 0);
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.max(0, Math.min(width, height) / 2 - 10);
+    const holeRadius = radius / (ringCount + 1.5);
+    const ringWidth = ringCount > 0 ? (radius - holeRadius) / ringCount : 0;
+
+    // Center: the current scope, click to go up
+    const hole = document.createElementNS(ns, 'circle');
+    hole.setAttribute('cx', cx);
+    hole.setAttribute('cy', cy);
+    hole.setAttribute('r', holeRadius);
+    hole.setAttribute('fill', getCoverageColor(center.percent));
+    hole.setAttribute('stroke', '#fff');
+    if (currentView !== 'namespaces') {
+        hole.style.cursor = 'pointer';
+        hole.addEventListener('click', () => navigateUp());
+    }
+    svg.appendChild(hole);
+
+    const centerSide = holeRadius * Math.SQRT2;
+    const centerFit = fitTileLabel([center.name, formatPercent(center.percent)], centerSide, centerSide);
+    if (centerFit) {
+        svg.appendChild(createSvgLabel(centerFit, cx, cy, getContrastTextColor(getCoverageColor(center.percent))));
+    }
+
+    const labels = [];
+    for (const node of arcs) {
+        const innerRadius = holeRadius + node.ring * ringWidth;
+        const outerRadius = innerRadius + ringWidth;
+
+        const path = document.createElementNS(ns, 'path');
+        path.setAttribute('d', describeArc(cx, cy, innerRadius, outerRadius, node.startAngle, node.endAngle));
+        path.setAttribute('fill', getCoverageColor(node.percent));
+        path.setAttribute('stroke', '#fff');
+        path.setAttribute('stroke-width', '1');
+        path.classList.add('treemap-rect');
+        path.style.cursor = 'pointer';
+        setTileDataset(path, node);
+        dimForTests(path, node);
+        path.addEventListener('mouseenter', (e) => {
+            showTooltip(node, e);
+        });
+        path.addEventListener('mouseleave', () => {
+            hideTooltip();
+        });
+        path.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (isSliderChanging) {
+                return;
+            }
+            activateTile(node);
+        });
+        svg.appendChild(path);
+        appendCoveragePattern(svg, path, node.percent);
+
+        const midAngle = (node.startAngle + node.endAngle) / 2;
+        const midRadius = (innerRadius + outerRadius) / 2;
+        addFocusTarget(path, node, cx + midRadius * Math.sin(midAngle), cy - midRadius * Math.cos(midAngle));
+        // Labels run along the radius, so the ring width is their length and the arc their height
+        const fit = fitTileLabel([getTileDisplayName(node)], ringWidth, (node.endAngle - node.startAngle) * midRadius);
+        if (fit) {
+            const degrees = (midAngle * 180) / Math.PI;
+            const x = cx + midRadius * Math.sin(midAngle);
+            const y = cy - midRadius * Math.cos(midAngle);
+            const text = createSvgLabel(fit, x, y, getContrastTextColor(path.getAttribute('fill')));
+            text.setAttribute('transform', `rotate(${degrees < 180 ? degrees - 90 : degrees + 90} ${x} ${y})`);
+            labels.push(dimForTests(text, node));
+        }
+    }
+    labels.forEach(label => svg.appendChild(label));
+
+    updateStats();
+}
+
+/**
+ * Build the SVG path of a ring segment. Angles are in radians, clockwise from 12 o'clock.
+ */
+function describeArc(cx, cy, innerRadius, outerRadius, startAngle, endAngle) {
+    // A full circle can't be drawn as a single arc, so stop just short of it
+    const span = Math.min(endAngle - startAngle, Math.PI * 2 - 0.0001);
+    const end = startAngle + span;
+    const largeArc = span > Math.PI ? 1 : 0;
+    const point = (r, angle) => `${cx + r * Math.sin(angle)} ${cy - r * Math.cos(angle)}`;
+    return `M ${point(outerRadius, startAngle)} ` +
+        `A ${outerRadius} ${outerRadius} 0 ${largeArc} 1 ${point(outerRadius, end)} ` +
+        `L ${point(innerRadius, end)} ` +
+        `A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${point(innerRadius, startAngle)} Z`;
+}
+
+/**
+ * Go up one level: from a file to its namespace, from a namespace to its parent or the project.
+ */
+function navigateUp() {
+    if (currentView === 'methods' && currentNamespace) {
+        const namespace = findNamespaceByName(currentNamespace);
+        renderFiles(currentNamespace, namespace ? namespace.files || [] : []);
+        return;
+    }
+
+    const parentName = currentView === 'files' && currentNamespace
+        ? currentNamespace.split('/').slice(0, -1).join('/')
+        : '';
+    const parent = parentName ? findNamespaceByName(parentName) : null;
+    if (parent) {
+        renderFiles(parent.name, parent.files || []);
+    } else {
+        renderNamespaces();
+    }
+}
+
+/**
+ * Draw laid-out tiles with SVG, or on the canvas when there are too many tiles
+ * for one DOM element each.
+ * @param {SVGElement} svg - The treemap SVG, already sized by getSvgSize
+ * @param {Array} tiles - Layout rectangles from layoutTreemap, parents before their children
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ */
+function drawTreemap(svg, tiles, width, height) {
+    focusTargets = [];
+    cancelTreemapTransition();
+    const canvas = document.getElementById('treemap-canvas');
+    if (canvas && canvas.getContext && tiles.length > canvasTileThreshold) {
+        previousDrawing = null; // Canvas drawings aren't animated
+        svg.innerHTML = '';
+        svg.style.display = 'none';
+        canvas.style.display = 'block';
+        renderCanvasTiles(canvas, tiles, width, height);
+        finishTileDrawing();
+        return;
+    }
+
+    svg.innerHTML = '';
+    
+    // Set SVG viewBox to match the coordinate system
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    renderTreemapTiles(svg, tiles);
+    animateTreemapTransition(svg, width, height);
+    finishTileDrawing();
+}
+
+/**
+ * Whether the user asked the system for reduced motion.
+ */
+function prefersReducedMotion() {
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Describe the scope the current view shows, as the type and name of the tile it was opened from.
+ * @returns {Object} { type, fullName }; type is null for the project overview
+ */
+function getCurrentScope() {
+    if (currentView === 'methods') {
+        return { type: 'file', fullName: currentFile };
+    }
+    if (currentView === 'files') {
+        return { type: 'namespace', fullName: currentNamespace };
+    }
+    return { type: null, fullName: null };
+}
+
+function getTileKey(node) {
+    return `${node.type}:${node.fullName || node.id}`;
+}
+
+/**
+ * Get the keys of the tiles that can stand for a scope in a view higher up: the scope's own
+ * tile, then the namespaces enclosing it, nearest first.
+ */
+function getScopeAncestorKeys(scope) {
+    const keys = [`${scope.type}:${scope.fullName}`];
+    const namespace = scope.type === 'file' ? findNamespaceForFile(scope.fullName) : scope.fullName;
+    const parts = namespace ? namespace.split('/') : [];
+    for (let i = parts.length; i > 0; i--) {
+        keys.push(`namespace:${parts.slice(0, i).join('/')}`);
+    }
+    return keys;
+}
+
+/**
+ * Animate from the previous SVG treemap to the one just drawn. Drilling down expands the opened
+ * tile to fill the view while its contents fade in; going up shrinks the view back into the
+ * tile that was left; redrawing the same scope (sliders, resizing) moves each tile from its
+ * old position to its new one.
+ * @param {SVGElement} svg - SVG with the new tiles drawn
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ */
+function animateTreemapTransition(svg, width, height) {
+    const scope = getCurrentScope();
+    const previous = previousDrawing;
+    const tiles = new Map(focusTargets.map(target => [getTileKey(target.node), target]));
+    previousDrawing = {
+        scope,
+        tiles: new Map(focusTargets.map(target => {
+            const { x, y, w, h } = target.node;
+            return [getTileKey(target.node), { x, y, w, h, fill: target.element.getAttribute('fill') }];
+        })),
+    };
+
+    if (!previous || prefersReducedMotion() || !window.requestAnimationFrame) {
+        return;
+    }
+
+    const sameScope = previous.scope.type === scope.type && previous.scope.fullName === scope.fullName;
+    if (sameScope) {
+        tweenTreemapTiles(svg, previous.tiles, tiles);
+        return;
+    }
+
+    // Drilling down: the new scope was a tile in the previous drawing
+    const opened = scope.type ? previous.tiles.get(`${scope.type}:${scope.fullName}`) : null;
+    if (opened) {
+        zoomTreemapContent(svg, opened, { x: 0, y: 0, w: width, h: height }, width, height, opened.fill);
+        return;
+    }
+
+    // Going up: the scope that was left (or a namespace around it) is a tile in the new drawing
+    if (previous.scope.type) {
+        const left = getScopeAncestorKeys(previous.scope).map(key => tiles.get(key)).find(Boolean);
+        if (left) {
+            const { x, y, w, h } = left.node;
+            const scaleX = width / w;
+            const scaleY = height / h;
+            // Start with the left tile filling the view, i.e. the whole drawing magnified around it
+            zoomTreemapContent(svg, { x: -x * scaleX, y: -y * scaleY, w: width * scaleX, h: height * scaleY },
+                { x: 0, y: 0, w: width, h: height }, width, height, null);
+        }
+    }
+}
+
+/**
+ * Run an animation frame loop for a transition.
+ * @param {Function} step - Called with the eased progress (0-1) on every frame
+ * @param {number} duration - Length in milliseconds
+ */
+function runTransition(step, duration = 350) {
+    const start = performance.now();
+    step(0); // Put everything in its starting state before the first paint
+    const frame = (now) => {
+        const t = Math.min(1, (now - start) / duration);
+        step(t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2); // Ease in and out
+        transitionFrame = t < 1 ? requestAnimationFrame(frame) : null;
+    };
+    transitionFrame = requestAnimationFrame(frame);
+}
+
+/**
+ * Stop a running transition; the drawing it was animating is about to be replaced.
+ */
+function cancelTreemapTransition() {
+    if (transitionFrame !== null) {
+        cancelAnimationFrame(transitionFrame);
+        transitionFrame = null;
+    }
+}
+
+/**
+ * Scale the whole drawing from one rectangle to another while fading it in, optionally behind
+ * a tile-colored rectangle growing the same way (the opened tile expanding).
+ */
+function zoomTreemapContent(svg, from, to, width, height, fill) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const content = document.createElementNS(ns, 'g');
+    for (const child of [...svg.childNodes]) {
+        if (child.nodeName !== 'defs') {
+            content.appendChild(child);
+        }
+    }
+    svg.appendChild(content);
+
+    let expanding = null;
+    if (fill) {
+        expanding = document.createElementNS(ns, 'rect');
+        expanding.setAttribute('fill', fill);
+        expanding.setAttribute('pointer-events', 'none');
+        svg.insertBefore(expanding, content);
+    }
+
+    const lerp = (a, b, t) => a + (b - a) * t;
+    runTransition((t) => {
+        const x = lerp(from.x, to.x, t);
+        const y = lerp(from.y, to.y, t);
+        const w = lerp(from.w, to.w, t);
+        const h = lerp(from.h, to.h, t);
+        content.setAttribute('transform', `translate(${x} ${y}) scale(${w / width} ${h / height})`);
+        content.setAttribute('opacity', t);
+        if (expanding) {
+            expanding.setAttribute('x', x);
+            expanding.setAttribute('y', y);
+            expanding.setAttribute('width', w);
+            expanding.setAttribute('height', h);
+        }
+        if (t === 1) {
+            content.removeAttribute('transform');
+            content.removeAttribute('opacity');
+            expanding?.remove();
+        }
+    });
+}
+
+/**
+ * Move each tile from its position in the previous drawing to its new one. Tiles that are new
+ * fade in, and labels, patterns and shading are hidden until the tiles have settled.
+ * @param {SVGElement} svg - SVG with the new tiles drawn
+ * @param {Map} before - Tile key => { x, y, w, h } in the previous drawing
+ * @param {Map} after - Tile key => focus target in the new drawing
+ */
+function tweenTreemapTiles(svg, before, after) {
+    const moving = [];
+    const appearing = [];
+    for (const [key, target] of after) {
+        const from = before.get(key);
+        if (!from) {
+            appearing.push(target.element);
+        } else if (from.x !== target.node.x || from.y !== target.node.y || from.w !== target.node.w || from.h !== target.node.h) {
+            moving.push({ element: target.element, from, to: target.node });
+        }
+    }
+    if (moving.length === 0 && appearing.length === 0) {
+        return;
+    }
+
+    const tileElements = new Set([...after.values()].map(target => target.element));
+    const decorations = [...svg.children].filter(child => child.nodeName !== 'defs' && !tileElements.has(child));
+    const lerp = (a, b, t) => a + (b - a) * t;
+    runTransition((t) => {
+        for (const { element, from, to } of moving) {
+            element.setAttribute('x', lerp(from.x, to.x, t));
+            element.setAttribute('y', lerp(from.y, to.y, t));
+            element.setAttribute('width', lerp(from.w, to.w, t));
+            element.setAttribute('height', lerp(from.h, to.h, t));
+        }
+        for (const element of appearing) {
+            element.setAttribute('opacity', t);
+        }
+        // Labels and overlays are placed for the final layout, so show them at the end
+        const decorationOpacity = Math.max(0, (t - 0.7) / 0.3);
+        for (const element of decorations) {
+            element.style.opacity = t === 1 ? '' : decorationOpacity;
+        }
+        if (t === 1) {
+            appearing.forEach(element => element.removeAttribute('opacity'));
+        }
+    });
+}
+
+/**
+ * Switch back to the SVG (hiding the canvas), e.g. before measuring or showing a message.
+ */
+function showSvgRenderer(svg) {
+    svg.style.display = '';
+    const canvas = document.getElementById('treemap-canvas');
+    if (canvas) {
+        canvas.style.display = 'none';
+    }
+    canvasTiles = [];
+    canvasHitIndex = null;
+}
+
+/**
+ * Draw laid-out tiles on the canvas, matching renderTreemapTiles, and index them for hit-testing.
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array} tiles - Layout rectangles, parents before their children
+ * @param {number} width - Drawing width in CSS pixels
+ * @param {number} height - Drawing height in CSS pixels
+ */
+function renderCanvasTiles(canvas, tiles, width, height) {
+    // Scale the backing store so tiles stay sharp on high-DPI screens
+    const scale = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        return;
+    }
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    canvasTiles = [];
+    canvasHitIndex = new TileQuadtree(0, 0, width, height);
+
+    const canvasPatterns = new Map();
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    for (const node of tiles) {
+        if (!isFinite(node.x) || !isFinite(node.y) || !isFinite(node.w) || !isFinite(node.h) ||
+            node.w < 0.05 || node.h < 0.05) {
+            continue;
+        }
+
+        const color = getCoverageColor(node.percent);
+        ctx.fillStyle = node.header ? darkenColor(color, 0.25) : color;
+        ctx.fillRect(node.x, node.y, node.w, node.h);
+        const hatch = getHatchPattern(node.percent);
+        if (hatch) {
+            if (!canvasPatterns.has(hatch.id)) {
+                canvasPatterns.set(hatch.id, createCanvasHatchPattern(ctx, hatch));
+            }
+            const pattern = canvasPatterns.get(hatch.id);
+            if (pattern) {
+                ctx.fillStyle = pattern;
+                ctx.fillRect(node.x, node.y, node.w, node.h);
+            }
+        }
+        if (isDimmedByTests(node)) {
+            // Same fade as the SVG renderer's .test-dimmed
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+            ctx.fillRect(node.x, node.y, node.w, node.h);
+        }
+        ctx.strokeRect(node.x, node.y, node.w, node.h);
+
+        canvasTiles.push(node);
+        canvasHitIndex.insert(node);
+        addFocusTarget(null, node, ...getTileFocusPoint(node));
+    }
+
+    if (tileShading === 'cushion') {
+        renderCanvasCushionShading(ctx, canvasTiles, scale);
+    }
+
+    // Labels last, as in the SVG renderer
+    for (const node of canvasTiles) {
+        // Most tiles are far too small for a label, so skip them before measuring anything
+        if (!node.header && (node.w < LABEL_MIN_FONT_SIZE * 3 || node.h < LABEL_MIN_FONT_SIZE + LABEL_PADDING * 2)) {
+            continue;
+        }
+        const color = getCoverageColor(node.percent);
+        const label = getTileLabel(node, node.header ? darkenColor(color, 0.25) : color);
+        if (label) {
+            ctx.globalAlpha = isDimmedByTests(node) ? 0.25 : 1;
+            drawCanvasLabel(ctx, label.fit, label.x, label.y, label.color, label.header ? 'start' : 'center');
+        }
+    }
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Canvas version of a hatch pattern from HATCH_PATTERNS (see ensureHatchPattern).
+ */
+function createCanvasHatchPattern(ctx, hatch) {
+    const tile = document.createElement('canvas');
+    tile.width = 8;
+    tile.height = 8;
+    const tileCtx = tile.getContext('2d');
+    if (!tileCtx) {
+        return null;
+    }
+    if (hatch.angle < 0) {
+        tileCtx.setTransform(-1, 0, 0, 1, 8, 0); // Mirror so the stripes lean the other way
+    }
+    tileCtx.strokeStyle = hatch.stripe;
+    tileCtx.lineWidth = 3;
+    tileCtx.beginPath();
+    tileCtx.moveTo(-2, 10);
+    tileCtx.lineTo(10, -2);
+    tileCtx.moveTo(-2, 2);
+    tileCtx.lineTo(2, -2);
+    tileCtx.moveTo(6, 10);
+    tileCtx.lineTo(10, 6);
+    tileCtx.stroke();
+    return ctx.createPattern(tile, 'repeat');
+}
+
+/**
+ * Canvas version of renderCushionShading: one translucent cushion per tile, stretched to the tile.
+ */
+function renderCanvasCushionShading(ctx, tiles, scale) {
+    for (const node of tiles) {
+        if (node.w < 1 || node.h < 1) {
+            continue;
+        }
+        // Draw in the tile's unit square so the circular gradient becomes a cushion
+        ctx.setTransform(scale * node.w, 0, 0, scale * node.h, scale * node.x, scale * node.y);
+        const gradient = ctx.createRadialGradient(0.35, 0.3, 0, 0.5, 0.5, 0.75);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.35)');
+        gradient.addColorStop(0.45, 'rgba(255, 255, 255, 0)');
+        gradient.addColorStop(0.7, 'rgba(0, 0, 0, 0.05)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.4)');
+        ctx.globalAlpha = Math.max(0.4, 1 - (node.level || 0) * 0.2);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 1, 1);
+    }
+    ctx.globalAlpha = 1;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+}
+
+/**
+ * Find the innermost canvas tile under a point.
+ * @returns {Object|null} Layout rectangle, or null if the point is outside every tile
+ */
+function findCanvasTileAt(x, y) {
+    if (!canvasHitIndex) {
+        return null;
+    }
+    let hit = null;
+    for (const tile of canvasHitIndex.query(x, y)) {
+        if (!hit || (tile.level || 0) > (hit.level || 0)) {
+            hit = tile;
+        }
+    }
+    return hit;
+}
+
+/**
+ * Wire hover, tooltips and clicks on the canvas to the same handlers the SVG tiles use.
+ */
+function initializeCanvasRenderer() {
+    const canvas = document.getElementById('treemap-canvas');
+    if (!canvas) {
+        return;
+    }
+
+    const tileAt = (e) => {
+        const bounds = canvas.getBoundingClientRect();
+        return findCanvasTileAt(e.clientX - bounds.left, e.clientY - bounds.top);
+    };
+
+    canvas.addEventListener('mousemove', (e) => {
+        const tile = tileAt(e);
+        canvas.style.cursor = tile ? 'pointer' : 'default';
+        if (tile) {
+            showTooltip(tile, e);
+        } else {
+            hideTooltip();
+        }
+    });
+    canvas.addEventListener('mouseleave', () => {
+        hideTooltip();
+    });
+    canvas.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        // Don't navigate if slider is currently changing
+        if (isSliderChanging) {
+            return;
+        }
+
+        const tile = tileAt(e);
+        if (tile) {
+            hideTooltip();
+            activateTile(tile);
+        }
+    });
+}
+
+/**
+ * Draw laid-out tiles into the SVG. Parent tiles are drawn as a darker frame with a
+ * header strip, and their children are drawn inside the padded area below the header.
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Array} tiles - Layout rectangles from layoutTreemap, parents before their children
+ */
+function renderTreemapTiles(svg, tiles) {
+    // Labels are drawn last so cushion shading doesn't darken them
+    const labels = [];
+
+    for (const node of tiles) {
+        // Use very small thresholds to ensure all nodes are rendered
+        if (!isFinite(node.x) || !isFinite(node.y) || !isFinite(node.w) || !isFinite(node.h) ||
+            node.w < 0.05 || node.h < 0.05) {
+            continue;
+        }
+
+        const color = getCoverageColor(node.percent);
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', node.x);
+        rect.setAttribute('y', node.y);
+        rect.setAttribute('width', node.w);
+        rect.setAttribute('height', node.h);
+        rect.setAttribute('fill', node.header ? darkenColor(color, 0.25) : color);
+        rect.setAttribute('stroke', '#fff');
+        rect.setAttribute('stroke-width', '1');
+        rect.classList.add('treemap-rect');
+        if (node.header) {
+            rect.classList.add('treemap-parent');
+        }
+
+        setTileDataset(rect, node);
+        dimForTests(rect, node);
+
+        rect.addEventListener('mouseenter', (e) => {
+            showTooltip(node, e);
+        });
+        rect.addEventListener('mouseleave', () => {
+            hideTooltip();
+        });
+        rect.addEventListener('click', (e) => {
+            // Prevent any event bubbling that might interfere
+            e.stopPropagation();
+
+            // Don't navigate if slider is currently changing
+            if (isSliderChanging) {
+                return;
+            }
+
+            activateTile(node);
+        });
+
+        rect.style.cursor = 'pointer';
+        rect.title = getTileTitle(node);
+        addFocusTarget(rect, node, ...getTileFocusPoint(node));
+        svg.appendChild(rect);
+        appendCoveragePattern(svg, rect, node.percent);
+
+        const label = getTileLabel(node, rect.getAttribute('fill'));
+        if (label) {
+            labels.push(dimForTests(label.header
+                ? createSvgLabel(label.fit, label.x, label.y, label.color, 'start')
+                : createSvgLabel(label.fit, label.x, label.y, label.color), node));
+        }
+    }
+
+    if (tileShading === 'cushion') {
+        renderCushionShading(svg, tiles);
+    }
+    labels.forEach(label => svg.appendChild(label));
+}
+
+/**
+ * Fit the label of a treemap tile: a parent's name and coverage on one line in its header
+ * strip, or a leaf's name with its coverage below, sized to the tile.
+ * @param {Object} node - Layout rectangle
+ * @param {string} fill - The tile's fill color, to pick a readable text color
+ * @returns {Object|null} { fit, x, y, color, header } or null if no label fits
+ */
+function getTileLabel(node, fill) {
+    const color = getContrastTextColor(fill);
+    const displayName = getTileDisplayName(node);
+    if (node.header) {
+        const fontSize = 11;
+        const line = fitHeaderLabel(displayName, getTileValueText(node), node.header.w - TILE_PADDING * 2, fontSize);
+        if (!line || node.header.h < fontSize) {
+            return null;
+        }
+        return {
+            fit: { fontSize, lines: [line] },
+            x: node.header.x + TILE_PADDING,
+            y: node.header.y + node.header.h / 2,
+            color,
+            header: true,
+        };
+    }
+
+    const fit = fitTileLabel([displayName, getTileValueText(node)], node.w, node.h);
+    return fit ? { fit, x: node.x + node.w / 2, y: node.y + node.h / 2, color, header: false } : null;
+}
+
+/**
+ * Overlay van Wijk-style cushion shading on the tiles. Every tile, parents included, gets a
+ * translucent cushion on top of everything below it, so the shading of nested tiles adds up
+ * and each nesting level shows as a ridge while the coverage color underneath stays visible.
+ * @param {SVGElement} svg - Target SVG element, with the tiles already drawn
+ * @param {Array} tiles - Layout rectangles, parents before their children
+ */
+function renderCushionShading(svg, tiles) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const defs = document.createElementNS(ns, 'defs');
+    const gradient = document.createElementNS(ns, 'radialGradient');
+    gradient.setAttribute('id', 'cushion-gradient');
+    // Bounding box units stretch the cushion to each tile; the highlight sits towards the light (top left)
+    gradient.setAttribute('cx', '0.5');
+    gradient.setAttribute('cy', '0.5');
+    gradient.setAttribute('fx', '0.35');
+    gradient.setAttribute('fy', '0.3');
+    gradient.setAttribute('r', '0.75');
+    [
+        ['0', '#fff', '0.35'],
+        ['0.45', '#fff', '0'],
+        ['0.7', '#000', '0.05'],
+        ['1', '#000', '0.4'],
+    ].forEach(([offset, color, opacity]) => {
+        const stop = document.createElementNS(ns, 'stop');
+        stop.setAttribute('offset', offset);
+        stop.setAttribute('stop-color', color);
+        stop.setAttribute('stop-opacity', opacity);
+        gradient.appendChild(stop);
+    });
+    defs.appendChild(gradient);
+    svg.appendChild(defs);
+
+    const shading = document.createElementNS(ns, 'g');
+    shading.classList.add('treemap-shading');
+    shading.setAttribute('pointer-events', 'none');
+    for (const node of tiles) {
+        if (!isFinite(node.x) || !isFinite(node.y) || node.w < 1 || node.h < 1) {
+            continue;
+        }
+        const cushion = document.createElementNS(ns, 'rect');
+        cushion.setAttribute('x', node.x);
+        cushion.setAttribute('y', node.y);
+        cushion.setAttribute('width', node.w);
+        cushion.setAttribute('height', node.h);
+        cushion.setAttribute('fill', 'url(#cushion-gradient)');
+        // Deeper ridges are gentler so small tiles don't turn dark
+        cushion.setAttribute('opacity', Math.max(0.4, 1 - (node.level || 0) * 0.2).toString());
+        shading.appendChild(cushion);
+    }
+    svg.appendChild(shading);
+}
+
+/**
+ * Navigate into a tile, or show its details if it has nothing to drill into.
+ * @param {Object} node - Layout rectangle
+ */
+function activateTile(node) {
+    if (node.type === 'namespace') {
+        // Navigate to namespace view
+        updateHash(node.fullName, null);
+        renderFiles(node.fullName, node.files || []);
+    } else if (node.type === 'file') {
+        // Navigate to methods view
+        if (node.methods && node.methods.length > 0) {
+            // Nested views can show files from several namespaces, so look the namespace up
+            const fileNamespace = findNamespaceForFile(node.fullName) || currentNamespace;
+            currentNamespace = fileNamespace;
+            updateHash(fileNamespace, node.name);
+            renderMethods(node.fullName, node.methods);
+        }
+    } else if (node.type === 'method') {
+        currentMethod = node.fullName;
+        updateHashForCurrentView();
+        showMethodDetails(node);
+        markSelectedMethod();
+    } else if (node.type === 'group') {
+        // List the items merged into this tile
+        showGroupDetails(node);
+    }
+}
+
+/**
+ * Fade a tile's shape or label when none of the highlighted tests reach the tile.
+ * @returns {SVGElement} The element, for chaining
+ */
+function dimForTests(element, node) {
+    if (isDimmedByTests(node)) {
+        element.classList.add('test-dimmed');
+    }
+    return element;
+}
+
+/**
+ * Tag a tile's element with what it shows (data-namespace, data-file or data-method),
+ * so it can be found again, e.g. to highlight a search result.
+ */
+function setTileDataset(element, node) {
+    if (node.type === 'namespace' || node.type === 'file' || node.type === 'method') {
+        element.dataset[node.type] = node.fullName;
+    }
+}
+
+/**
+ * Get the short name shown on a tile (namespaces show their last segment).
+ */
+function getTileDisplayName(node) {
+    if (node.type === 'namespace') {
+        return (node.name || 'Root').split('/').pop();
+    }
+    return node.name;
+}
+
+/**
+ * Get the hint shown when hovering over a tile.
+ */
+function getTileTitle(node) {
+    const displayName = getTileDisplayName(node);
+    if (node.type === 'namespace') {
+        return `Click to view files in ${displayName} (${formatRoute(node.fullName)})`;
+    }
+    if (node.type === 'file') {
+        return `Click to view methods in ${displayName} (${formatRoute(findNamespaceForFile(node.fullName), node.name)})`;
+    }
+    if (node.type === 'group') {
+        return `Click to list the ${displayName}`;
+    }
+    return `Click to view details for ${displayName}`;
+}
+
+const LABEL_MIN_FONT_SIZE = 9;
+const LABEL_MAX_FONT_SIZE = 14;
+const LABEL_LINE_HEIGHT = 1.2; // In ems
+const LABEL_PADDING = 4; // Space kept between a label and its tile's edge
+
+let labelMeasureContext; // 2D context used to measure label text (null when canvas isn't available)
+let labelFontFamily = null;
+const labelWidthCache = new Map();
+
+/**
+ * Get the CSS font of tile labels at a size, matching the page font the SVG text inherits.
+ */
+function getLabelFont(fontSize) {
+    if (labelFontFamily === null) {
+        labelFontFamily = (document.body && window.getComputedStyle(document.body).fontFamily) || 'sans-serif';
+    }
+    return `bold ${fontSize}px ${labelFontFamily}`;
+}
+
+/**
+ * Measure the width of a bold label in pixels. Falls back to an average glyph width
+ * where there's no canvas to measure with.
+ */
+function measureLabel(label, fontSize) {
+    if (labelMeasureContext === undefined) {
+        labelMeasureContext = document.createElement('canvas').getContext?.('2d') || null;
+    }
+    if (!labelMeasureContext) {
+        return label.length * fontSize * 0.6;
+    }
+
+    const font = getLabelFont(fontSize);
+    const key = `${font}|${label}`;
+    let width = labelWidthCache.get(key);
+    if (width === undefined) {
+        if (labelWidthCache.size > 20000) {
+            labelWidthCache.clear();
+        }
+        labelMeasureContext.font = font;
+        width = labelMeasureContext.measureText(label).width;
+        labelWidthCache.set(key, width);
+    }
+    return width;
+}
+
+/**
+ * Shorten a label from the middle so it fits a width, keeping both ends readable
+ * (e.g. "KrogerProductSyncService" becomes "KrogerPr…ncService").
+ * @param {string} label - Text to fit
+ * @param {number} width - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {string} The label, shortened if needed (empty if not even two characters fit)
+ */
+function ellipsizeMiddle(label, width, fontSize) {
+    if (measureLabel(label, fontSize) <= width) {
+        return label;
+    }
+
+    const chars = [...label];
+    let low = 2;
+    let high = chars.length - 1;
+    let best = '';
+    while (low <= high) {
+        const keep = Math.floor((low + high) / 2);
+        const head = Math.ceil(keep / 2);
+        const candidate = chars.slice(0, head).join('') + '…' + chars.slice(chars.length - (keep - head)).join('');
+        if (measureLabel(candidate, fontSize) <= width) {
+            best = candidate;
+            low = keep + 1;
+        } else {
+            high = keep - 1;
+        }
+    }
+    return best;
+}
+
+/**
+ * Fit label lines into a box. Prefers showing every line, then the largest font; lines after
+ * the first are dropped if they don't fit, and the first line is shortened as a last resort.
+ * @param {Array<string>} lines - Lines in order of importance, e.g. [name, percentage]
+ * @param {number} width - Box width in pixels
+ * @param {number} height - Box height in pixels
+ * @returns {Object|null} { fontSize, lines } to draw, or null if nothing readable fits
+ */
+function fitTileLabel(lines, width, height) {
+    const availableWidth = width - LABEL_PADDING * 2;
+    const availableHeight = height - LABEL_PADDING * 2;
+    const linesThatFit = fontSize => Math.floor(availableHeight / (fontSize * LABEL_LINE_HEIGHT));
+
+    for (let count = lines.length; count >= 1; count--) {
+        for (let fontSize = LABEL_MAX_FONT_SIZE; fontSize >= LABEL_MIN_FONT_SIZE; fontSize--) {
+            const shown = lines.slice(0, count);
+            if (linesThatFit(fontSize) >= count && shown.every(line => measureLabel(line, fontSize) <= availableWidth)) {
+                return { fontSize, lines: shown };
+            }
+        }
+    }
+
+    const fontSize = LABEL_MIN_FONT_SIZE;
+    const first = linesThatFit(fontSize) >= 1 ? ellipsizeMiddle(lines[0], availableWidth, fontSize) : '';
+    if (!first) {
+        return null;
+    }
+    const rest = lines.slice(1, linesThatFit(fontSize)).filter(line => measureLabel(line, fontSize) <= availableWidth);
+    return { fontSize, lines: [first, ...rest] };
+}
+
+/**
+ * Fit a parent tile's header: the name is shortened so the figure after it always shows.
+ * @param {string} name - Tile name
+ * @param {string} value - Figure from getTileValueText
+ */
+function fitHeaderLabel(name, value, width, fontSize) {
+    const suffix = ` ${value}`;
+    const shortened = ellipsizeMiddle(name, width - measureLabel(suffix, fontSize), fontSize);
+    return shortened ? shortened + suffix : ellipsizeMiddle(suffix.trim(), width, fontSize);
+}
+
+/**
+ * Pick white or near-black text, whichever contrasts more with a fill color.
+ * @param {string} fill - Color as #rrggbb or rgb(r, g, b)
+ * @returns {string} Text color
+ */
+function getContrastTextColor(fill) {
+    const channels = fill.startsWith('#')
+        ? [1, 3, 5].map(i => parseInt(fill.slice(i, i + 2), 16))
+        : (fill.match(/\d+(\.\d+)?/g) || []).slice(0, 3).map(Number);
+    if (channels.length !== 3 || channels.some(value => !isFinite(value))) {
+        return '#fff';
+    }
+
+    // WCAG relative luminance
+    const [r, g, b] = channels.map((value) => {
+        const c = value / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const dark = 0.0113; // Luminance of #111827
+    return (1.05 / (luminance + 0.05)) >= ((luminance + 0.05) / (dark + 0.05)) ? '#fff' : '#111827';
+}
+
+/**
+ * Create an SVG label from fitTileLabel's result, one <tspan> per line, centered on a point.
+ * @param {Object} fit - { fontSize, lines }
+ * @param {number} x - Anchor x (center, or left edge when anchor is 'start')
+ * @param {number} y - Vertical center
+ * @param {string} color - Text color
+ * @param {string} anchor - SVG text-anchor
+ * @returns {SVGTextElement}
+ */
+function createSvgLabel(fit, x, y, color, anchor = 'middle') {
+    const ns = 'http://www.w3.org/2000/svg';
+    const text = document.createElementNS(ns, 'text');
+    text.setAttribute('x', x);
+    text.setAttribute('y', y);
+    text.setAttribute('text-anchor', anchor);
+    text.setAttribute('dominant-baseline', 'middle');
+    text.setAttribute('fill', color);
+    text.setAttribute('font-size', `${fit.fontSize}px`);
+    text.setAttribute('font-weight', 'bold');
+    text.setAttribute('pointer-events', 'none');
+    fit.lines.forEach((line, i) => {
+        const tspan = document.createElementNS(ns, 'tspan');
+        tspan.setAttribute('x', x);
+        tspan.setAttribute('dy', `${i === 0 ? (-(fit.lines.length - 1) / 2) * LABEL_LINE_HEIGHT : LABEL_LINE_HEIGHT}em`);
+        tspan.textContent = line;
+        text.appendChild(tspan);
+    });
+    return text;
+}
+
+/**
+ * Canvas version of createSvgLabel.
+ */
+function drawCanvasLabel(ctx, fit, x, y, color, align = 'center') {
+    ctx.font = getLabelFont(fit.fontSize);
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    const lineHeight = fit.fontSize * LABEL_LINE_HEIGHT;
+    fit.lines.forEach((line, i) => {
+        ctx.fillText(line, x, y + (i - (fit.lines.length - 1) / 2) * lineHeight);
+    });
+}
+
+/**
+ * Show tooltip on hover.
+ */
+function showTooltip(node, event) {
+    const tooltip = document.getElementById('tooltip');
+    const notes = getLayoutNotes(node);
+    tooltip.innerHTML = `
+        <strong>${node.fullName || node.name}</strong><br>
+        Coverage: ${formatCoverage(node)}<br>
+        ${highlightedTests.size > 0 ? `Reached by selected tests: ${getTestReach(node, node.type)}/${node.coverable} lines<br>` : ''}
+        ${node.tests ? `Tests: ${node.tests.length}<br>` : ''}
+        ${sizeMetric !== 'coverable' ? `Sized by ${SIZE_METRICS[sizeMetric].toLowerCase()}: ${Math.floor(node.weight)}` : ''}
+        ${notes.map(note => `<br><em>${note}</em>`).join('')}
+    `;
+    tooltip.style.display = 'block';
+    tooltip.style.left = event.pageX + 10 + 'px';
+    tooltip.style.top = event.pageY + 10 + 'px';
+}
+
+/**
+ * Hide tooltip.
+ */
+function hideTooltip() {
+    document.getElementById('tooltip').style.display = 'none';
+}
+
+/**
+ * Show method details.
+ */
+function showMethodDetails(method) {
+    const details = document.getElementById('method-details');
+    details.innerHTML = `
+        <h3>${method.fullName}</h3>
+        <p>Coverage: ${formatCoverage(method)}</p>
+        ${method.tests && method.tests.length > 0 ? `
+            <h4>Tests covering this method:</h4>
+            <ul>
+                ${method.tests.map(test => `<li>${test}</li>`).join('')}
+            </ul>
+        ` : '<p>No tests cover this method.</p>'}
+    `;
+    const source = createSourceView(method);
+    if (source) {
+        const heading = document.createElement('h4');
+        heading.textContent = 'Source';
+        details.querySelector('p').after(heading, source);
+    }
+    details.style.display = 'block';
+}
+
+/**
+ * Words highlighted as keywords in the source view (compared in lowercase).
+ */
+const PHP_KEYWORDS = new Set([
+    'abstract', 'and', 'array', 'as', 'bool', 'break', 'callable', 'case', 'catch', 'class', 'clone',
+    'const', 'continue', 'declare', 'default', 'do', 'echo', 'else', 'elseif', 'empty', 'enum',
+    'extends', 'false', 'final', 'finally', 'float', 'fn', 'for', 'foreach', 'function', 'global',
+    'if', 'implements', 'instanceof', 'int', 'interface', 'isset', 'iterable', 'list', 'match',
+    'mixed', 'namespace', 'never', 'new', 'null', 'object', 'or', 'parent', 'private', 'protected',
+    'public', 'readonly', 'return', 'self', 'static', 'string', 'switch', 'throw', 'trait', 'true',
+    'try', 'unset', 'use', 'void', 'while', 'yield',
+]);
+
+/**
+ * Split PHP source into tokens for highlighting. This only tells comments, strings, variables,
+ * numbers and keywords apart; it isn't a parser.
+ * @param {string} code - Source text
+ * @returns {Array} { type, text } tokens, where type is null for plain text
+ */
+function tokenizePhp(code) {
+    const pattern = /(\/\*[\s\S]*?(?:\*\/|$)|\/\/.*|#(?!\[).*)|('(?:[^'\\]|\\[\s\S])*'?|"(?:[^"\\]|\\[\s\S])*"?)|(\$[A-Za-z_]\w*)|(\b\d[\d_]*(?:\.\d+)?)|([A-Za-z_]\w*)/g;
+    const tokens = [];
+    let last = 0;
+    for (const match of code.matchAll(pattern)) {
+        if (match.index > last) {
+            tokens.push({ type: null, text: code.slice(last, match.index) });
+        }
+        let type = null;
+        if (match[1]) {
+            type = 'comment';
+        } else if (match[2]) {
+            type = 'string';
+        } else if (match[3]) {
+            type = 'variable';
+        } else if (match[4]) {
+            type = 'number';
+        } else if (PHP_KEYWORDS.has(match[5].toLowerCase())) {
+            type = 'keyword';
+        }
+        tokens.push({ type, text: match[0] });
+        last = match.index + match[0].length;
+    }
+    if (last < code.length) {
+        tokens.push({ type: null, text: code.slice(last) });
+    }
+    return tokens;
+}
+
+/**
+ * Highlight lines of PHP as HTML, one string per line. Tokens spanning lines (block comments,
+ * multi-line strings) are split so every line stands alone.
+ * @param {Array<string>} lines - Source lines
+ * @returns {Array<string>} HTML for each line
+ */
+function highlightPhpLines(lines) {
+    const html = [''];
+    for (const token of tokenizePhp(lines.join('\n'))) {
+        token.text.split('\n').forEach((part, i) => {
+            if (i > 0) {
+                html.push('');
+            }
+            if (part) {
+                html[html.length - 1] += token.type
+                    ? `<span class="tok-${token.type}">${escapeHtml(part)}</span>`
+                    : escapeHtml(part);
+            }
+        });
+    }
+    return html;
+}
+
+/**
+ * Escape text for use in HTML.
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Build the source view of a method: its lines, highlighted, with covered and uncovered lines
+ * marked. Hovering an executable line lists the tests that cover it.
+ * @param {Object} method - Method node, with the filePath of its file
+ * @returns {HTMLElement|null} Null unless the report embeds source (the embedSource option)
+ */
+function createSourceView(method) {
+    const file = findFileByPath(method.filePath);
+    const entity = file && (file.methods || []).find(candidate => candidate.name === method.fullName);
+    if (!file || !file.source || !entity || !entity.startLine || !entity.endLine) {
+        return null;
+    }
+
+    const tests = COVERAGE_DATA.tests || [];
+    const lineCoverage = file.lineCoverage || {};
+    const first = entity.startLine;
+    const view = document.createElement('div');
+    view.className = 'source-view';
+    highlightPhpLines(file.source.slice(first - 1, entity.endLine)).forEach((html, i) => {
+        const number = first + i;
+        const line = document.createElement('div');
+        line.className = 'source-line';
+        line.innerHTML = `<span class="line-number">${number}</span><span class="line-code">${html}</span>`;
+
+        // Lines missing from lineCoverage aren't executable
+        const covering = lineCoverage[number];
+        if (covering) {
+            line.classList.add(covering.length > 0 ? 'covered' : 'uncovered');
+            line.addEventListener('mouseenter', (e) => {
+                showLineTooltip(number, covering.map(index => tests[index]).filter(Boolean), e);
+            });
+            line.addEventListener('mouseleave', hideTooltip);
+        }
+        view.appendChild(line);
+    });
+    return view;
+}
+
+/**
+ * Show the tests covering a source line in the tooltip.
+ */
+function showLineTooltip(number, tests, event) {
+    const tooltip = document.getElementById('tooltip');
+    const shown = tests.slice(0, 10).map(escapeHtml);
+    if (tests.length > shown.length) {
+        shown.push(`<em>and ${tests.length - shown.length} more</em>`);
+    }
+    tooltip.innerHTML = `
+        <strong>Line ${number}</strong><br>
+        ${tests.length > 0 ? shown.join('<br>') : 'Not covered by any test'}
+    `;
+    tooltip.style.display = 'block';
+    tooltip.style.left = event.pageX + 10 + 'px';
+    tooltip.style.top = event.pageY + 10 + 'px';
+}
+
+/**
+ * Close the method details panel.
+ */
+function hideMethodDetails() {
+    const details = document.getElementById('method-details');
+    if (details) {
+        details.style.display = 'none';
+    }
+}
+
+/**
+ * Show the items merged into a group tile.
+ */
+function showGroupDetails(group) {
+    const details = document.getElementById('method-details');
+    details.innerHTML = `
+        <h3>${group.name}</h3>
+        <p>Coverage: ${formatCoverage(group)}</p>
+        <h4>Grouped because each is too small to show within the aspect ratio limit:</h4>
+        <ul>
+            ${group.groupedNodes.map(node => `<li>${node.fullName || node.name} (${formatCoverage(node)})</li>`).join('')}
+        </ul>
+    `;
+    details.style.display = 'block';
+}
+
+/**
+ * Update statistics display.
+ */
+function updateStats() {
+    if (!currentData) {
+        return;
+    }
+
+    let totalCoverable = 0;
+    let totalCovered = 0;
+    const methods = [];
+    const collectMethods = (ns) => {
+        (ns.files || []).forEach(file => methods.push(...(file.methods || [])));
+        (ns.namespaces || []).forEach(collectMethods);
+    };
+
+    if (currentView === 'namespaces') {
+        currentData.namespaces.forEach(ns => {
+            totalCoverable += ns.coverable;
+            totalCovered += ns.covered;
+            collectMethods(ns);
+        });
+    } else if (currentView === 'files' && currentNamespace) {
+        const namespace = findNamespaceByName(currentNamespace);
+        if (namespace) {
+            namespace.files.forEach(file => {
+                totalCoverable += file.coverable;
+                totalCovered += file.covered;
+                methods.push(...(file.methods || []));
+            });
+        }
+    } else if (currentFile) {
+        // Find file in current namespace
+        if (currentNamespace) {
+            const namespace = findNamespaceByName(currentNamespace);
+            if (namespace) {
+                const file = namespace.files.find(f => (f.fullPath || f.name) === currentFile);
+                if (file && file.methods) {
+                    file.methods.forEach(method => {
+                        totalCoverable += method.coverable;
+                        totalCovered += method.covered;
+                    });
+                    methods.push(...file.methods);
                 }
             }
-            
-            if (children.length > 0) {
-                node.children = children;
-            }
-            
-            nodes.push(node);
         }
     }
-    
-    // Add files from the current namespace if they exist and depth allows (files are one level deeper)
-    if (currentDepth < maxDepth && namespace.files && namespace.files.length > 0) {
-        for (const file of namespace.files) {
-            const fileNode = {
-                id: file.fullPath || file.name,
-                name: file.name,
-                fullName: file.fullPath || file.name,
-                weight: file.coverable > 0 ? file.coverable : 0.5,
-                coverable: file.coverable,
-                covered: file.covered,
-                percent: coveragePercent(file.covered, file.coverable),
-                methods: file.methods || [],
-                depth: currentDepth,
-                children: null,
-                type: 'file',
-            };
-            
-            // Include methods only when depth allows going one level deeper past files
-            if (file.methods && file.methods.length > 0 && (currentDepth + 1) < maxDepth) {
-                fileNode.children = file.methods.map(method => ({
-                    id: method.name,
-                    name: method.name.split('::').pop(),
-                    fullName: method.name,
-                    weight: method.coverable > 0 ? method.coverable : 0.5,
-                    coverable: method.coverable,
-                    covered: method.covered,
-                    percent: coveragePercent(method.covered, method.coverable),
-                    tests: method.tests || [],
-                    depth: currentDepth + 1,
-                    children: null,
-                    type: 'method',
-                }));
-            }
-            
-            nodes.push(fileNode);
-        }
+
+    // Methods with nothing to cover are counted apart, never as uncovered
+    const notApplicable = methods.filter(method => !method.coverable).length;
+    const low = methods.filter(method => isLowCoverage(coveragePercent(method.covered, method.coverable))).length;
+    const counts = [];
+    if (colorThresholds.length > 0) {
+        counts.push(`${low} ${low === 1 ? 'method' : 'methods'} below ${formatThreshold(colorThresholds[0])}`);
     }
-    
-    return nodes;
+    if (notApplicable > 0) {
+        counts.push(`${notApplicable} with nothing to cover`);
+    }
+    if (filteredOutFiles > 0) {
+        counts.push(`${filteredOutFiles} ${filteredOutFiles === 1 ? 'file' : 'files'} filtered out`);
+    }
+    if (highlightedTests.size > 0) {
+        const reached = methods.reduce((sum, method) => sum + getTestReach(method, 'method'), 0);
+        const testCount = `${highlightedTests.size} ${highlightedTests.size === 1 ? 'test' : 'tests'}`;
+        counts.push(`${testCount} reach ${reached}/${totalCoverable} (${formatPercent(coveragePercent(reached, totalCoverable))})`);
+    }
+
+    const percent = coveragePercent(totalCovered, totalCoverable);
+    document.getElementById('stats').textContent =
+        `Total Coverage: ${totalCovered}/${totalCoverable} (${formatPercent(percent)})` +
+        counts.map(count => ` · ${count}`).join('');
+
+    updateDistortionDisplay();
 }
 
 /**
- * Calculate coverage percentage.
+ * Run the steps shared by every renderer once a view's tiles are drawn.
  */
-function coveragePercent(covered, coverable) {
-    if (coverable === 0) {
-        return 0; // 0/0 should show 0%, not 100%
+function finishTileDrawing() {
+    const svg = document.getElementById('treemap-svg');
+    if (svg) {
+        // Tiles carry their own labels, so screen readers can skip the drawn text
+        svg.querySelectorAll('text').forEach(text => text.setAttribute('aria-hidden', 'true'));
     }
-    return Math.round((covered / coverable) * 100);
+    restoreTileFocus();
+    highlightPendingTile();
+    markSelectedMethod();
 }
 
 /**
- * Get color for coverage percentage.
+ * Outline the tile of the method whose details are open, so a deep link shows
+ * which method it points at.
  */
-function getCoverageColor(percent) {
-    if (percent >= 80) {
-        return '#22c55e'; // green
+function markSelectedMethod() {
+    const selected = currentView === 'methods' ? currentMethod : null;
+    const svg = document.getElementById('treemap-svg');
+    if (svg) {
+        svg.querySelectorAll('.selected-tile').forEach(element => {
+            element.classList.remove('selected-tile');
+            element.removeAttribute('aria-current');
+        });
     }
-    if (percent >= 50) {
-        return '#eab308'; // yellow
+
+    const outline = document.getElementById('canvas-selection-outline');
+    if (outline) {
+        outline.hidden = true;
+    }
+    if (!selected) {
+        return;
+    }
+
+    if (svg && svg.style.display !== 'none') {
+        const element = [...svg.querySelectorAll('[data-method]')]
+            .find(candidate => candidate.dataset.method === selected);
+        if (element) {
+            element.classList.add('selected-tile');
+            element.setAttribute('aria-current', 'true');
+        }
+        return;
+    }
+
+    const tile = canvasTiles.find(node => node.type === 'method' && node.fullName === selected);
+    const canvas = document.getElementById('treemap-canvas');
+    if (tile && canvas && outline) {
+        outline.style.left = `${canvas.offsetLeft + tile.x}px`;
+        outline.style.top = `${canvas.offsetTop + tile.y}px`;
+        outline.style.width = `${tile.w}px`;
+        outline.style.height = `${tile.h}px`;
+        outline.hidden = false;
     }
-    return '#ef4444'; // red
 }
 
 /**
- * Render namespace-level treemap.
- * @param {boolean} skipHashUpdate - If true, don't update the hash (useful for slider changes)
+ * Get the point a tile is reached from with the arrow keys: the center of its header
+ * strip for parents (their middle is covered by children), otherwise its center.
  */
-function renderNamespaces(skipHashUpdate = false) {
-    currentView = 'namespaces';
-    currentNamespace = null;
-    currentFile = null;
+function getTileFocusPoint(node) {
+    const area = node.header || node;
+    return [area.x + area.w / 2, area.y + area.h / 2];
+}
 
-    // Show depth slider when viewing namespaces (if max depth > 0)
-    const depthControl = document.getElementById('depth-control');
-    const depthSlider = document.getElementById('depth-slider');
-    const depthValue = document.getElementById('depth-value');
-    if (depthControl && depthSlider && depthValue && maxDepth > 0) {
-        depthControl.style.display = 'block';
-        depthSlider.setAttribute('max', maxDepth);
-        depthSlider.setAttribute('value', currentDepth);
-        // Update depth label when switching to namespaces view
-        depthValue.textContent = getDepthLabel(currentDepth, 'namespaces');
-        
-        // Only replace slider if not currently being dragged (to preserve mouse capture)
-        if (!isSliderChanging) {
-            // Remove existing event listeners by cloning (clean way to remove all listeners)
-            const newSlider = depthSlider.cloneNode(true);
-            depthSlider.parentNode.replaceChild(newSlider, depthSlider);
-            
-            // Add event listener for namespaces view
-            newSlider.addEventListener('input', (e) => {
-                isSliderChanging = true;
-                currentDepth = parseInt(e.target.value, 10);
-                const depthValueEl = document.getElementById('depth-value');
-                if (depthValueEl) {
-                    depthValueEl.textContent = getDepthLabel(currentDepth, 'namespaces');
-                }
-                // Update hash with new depth (but don't trigger navigation)
-                updateHash(null, null, currentDepth);
-                // Re-render namespaces view with new depth (skip hash update to prevent navigation)
-                renderNamespaces(true);
-                
-                // Reset flag after a short delay to allow any pending events to complete
-                setTimeout(() => {
-                    isSliderChanging = false;
-                }, 100);
-            });
-        }
-    } else if (depthControl && maxDepth > 0) {
-        depthControl.style.display = 'block';
-        // Update depth label when switching to namespaces view
-        if (depthValue) {
-            depthValue.textContent = getDepthLabel(currentDepth, 'namespaces');
-        }
+/**
+ * Make a drawn tile reachable from the keyboard and give it an accessible name.
+ * @param {SVGElement|null} element - The tile's shape, or null for canvas tiles
+ * @param {Object} node - The tile's node
+ * @param {number} x - Horizontal position used for arrow-key navigation
+ * @param {number} y - Vertical position used for arrow-key navigation
+ */
+function addFocusTarget(element, node, x, y) {
+    const target = { node, element, x, y };
+    if (element) {
+        element.setAttribute('tabindex', '-1');
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', getTileAccessibleLabel(node));
+        element.addEventListener('focus', () => {
+            setRovingFocus(target);
+            showTooltipAtTarget(target);
+        });
+        element.addEventListener('blur', hideTooltip);
     }
+    focusTargets.push(target);
+}
 
-    // Update hash (unless we're just re-rendering due to slider change)
-    if (!skipHashUpdate) {
-        updateHash(null, null);
-    }
+/**
+ * Describe a tile for screen readers, e.g. "File User.php, coverage 4/8 (50%)".
+ */
+function getTileAccessibleLabel(node) {
+    const kind = node.type ? node.type[0].toUpperCase() + node.type.slice(1) : 'Tile';
+    const name = node.type === 'namespace' ? node.fullName : node.name;
+    return `${kind} ${name}, coverage ${formatCoverage(node)}`;
+}
 
-    const svg = document.getElementById('treemap-svg');
-    const breadcrumb = document.getElementById('breadcrumb');
+/**
+ * Give the tab stop to the first tile of a new drawing, or, after keyboard navigation,
+ * move focus to the requested tile (falling back to the first one).
+ */
+function restoreTileFocus() {
+    const request = pendingFocus;
+    pendingFocus = null;
+    focusedTarget = null;
+    hideCanvasFocusRing();
+    if (focusTargets.length === 0) {
+        return;
+    }
 
-    breadcrumb.innerHTML = '<span>Project</span>';
+    const requested = request && request !== true
+        ? focusTargets.find(target => target.node.type === request.type && target.node.fullName === request.fullName)
+        : null;
+    const target = requested || focusTargets[0];
+    if (request) {
+        focusTileTarget(target);
+    } else {
+        setRovingFocus(target);
+    }
+}
 
-    const { width, height } = getSvgSize(svg);
+/**
+ * Make a target the one tile in the tab order.
+ */
+function setRovingFocus(target) {
+    if (focusedTarget && focusedTarget !== target && focusedTarget.element) {
+        focusedTarget.element.setAttribute('tabindex', '-1');
+    }
+    focusedTarget = target;
+    if (target.element) {
+        target.element.setAttribute('tabindex', '0');
+    }
+}
 
-    if (width <= 0 || height <= 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle">Unable to determine SVG dimensions</text>';
+/**
+ * Move keyboard focus to a tile. Canvas tiles are shown with an outline and announced
+ * through a live region, since the canvas itself holds the focus.
+ */
+function focusTileTarget(target) {
+    setRovingFocus(target);
+    if (target.element) {
+        target.element.focus();
         return;
     }
 
-    // Use depth-aware hierarchical structure if depth > 0
-    let nodes;
-    if (currentDepth > 0) {
-        nodes = buildHierarchicalNamespaces(currentData.namespaces, currentDepth, 0);
-    } else {
-        // Depth 0: show only top-level namespaces (original behavior)
-        nodes = currentData.namespaces.map(ns => ({
-            id: ns.name,
-            name: ns.name || 'Root',
-            fullName: ns.name,
-            weight: ns.coverable,
-            coverable: ns.coverable,
-            covered: ns.covered,
-            percent: coveragePercent(ns.covered, ns.coverable),
-            files: ns.files,
-            namespaces: ns.namespaces || [],
-            depth: 0,
-            children: null,
-            type: 'namespace',
-        }));
+    const canvas = document.getElementById('treemap-canvas');
+    if (!canvas) {
+        return;
     }
+    if (document.activeElement !== canvas) {
+        canvas.focus();
+    }
+    const ring = document.getElementById('canvas-focus-ring');
+    if (ring) {
+        ring.style.left = `${canvas.offsetLeft + target.node.x}px`;
+        ring.style.top = `${canvas.offsetTop + target.node.y}px`;
+        ring.style.width = `${target.node.w}px`;
+        ring.style.height = `${target.node.h}px`;
+        ring.hidden = false;
+    }
+    const announcer = document.getElementById('tile-announcer');
+    if (announcer) {
+        announcer.textContent = getTileAccessibleLabel(target.node);
+    }
+    showTooltipAtTarget(target);
+}
 
-    const layout = generateTreemap(nodes, width, height, maxAspectRatio);
-    svg.innerHTML = '';
-    
-    // Set SVG viewBox to match the coordinate system
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
+function hideCanvasFocusRing() {
+    const ring = document.getElementById('canvas-focus-ring');
+    if (ring) {
+        ring.hidden = true;
+    }
+}
 
-    // Create a map from node id to original node to preserve children
-    const nodeMap = new Map();
-    function buildNodeMap(nodeList) {
-        for (const node of nodeList) {
-            nodeMap.set(node.id, node);
-            if (node.children) {
-                buildNodeMap(node.children);
-            }
-        }
+/**
+ * Show the tooltip for a focused tile, next to the tile rather than the mouse.
+ */
+function showTooltipAtTarget(target) {
+    const reference = target.element || document.getElementById('treemap-canvas');
+    if (!reference) {
+        return;
     }
-    buildNodeMap(nodes);
+    const bounds = reference.getBoundingClientRect();
+    const offsetX = target.element ? bounds.width / 2 : target.x;
+    const offsetY = target.element ? bounds.height / 2 : target.y;
+    showTooltip(target.node, {
+        pageX: bounds.left + window.scrollX + offsetX,
+        pageY: bounds.top + window.scrollY + offsetY,
+    });
+}
 
-    // Function to render a node and its nested children recursively
-    function renderNodeWithChildren(layoutNode, parentSvg) {
-        // Get the original node to access children
-        const originalNode = nodeMap.get(layoutNode.id) || layoutNode;
-        const node = { ...layoutNode, children: originalNode.children };
-        // Use very small thresholds to ensure all nodes are rendered
-        // Lowered threshold to 0.05 pixels to catch very thin but valid rectangles
-        if (!isFinite(node.x) || !isFinite(node.y) || !isFinite(node.w) || !isFinite(node.h) || 
-            node.w < 0.05 || node.h < 0.05) {
-            return;
-        }
-        
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', node.x);
-        rect.setAttribute('y', node.y);
-        rect.setAttribute('width', node.w);
-        rect.setAttribute('height', node.h);
-        rect.setAttribute('fill', getCoverageColor(node.percent));
-        rect.setAttribute('stroke', '#fff');
-        
-        // Visual distinction for nested namespaces: thicker border for deeper levels
-        const depth = node.depth || 0;
-        const strokeWidth = 1 + (depth * 0.5);
-        rect.setAttribute('stroke-width', strokeWidth.toString());
-        
-        // Slight opacity variation for nested items
-        if (depth > 0) {
-            rect.setAttribute('opacity', (1 - depth * 0.1).toString());
+/**
+ * Find the tile nearest to another in an arrow key's direction. Tiles straight ahead are
+ * preferred over closer ones off to the side.
+ * @param {Object} from - Entry of focusTargets to move from
+ * @param {string} key - 'ArrowLeft', 'ArrowRight', 'ArrowUp' or 'ArrowDown'
+ * @returns {Object|null} The neighbouring entry, or null at the edge
+ */
+function findNeighbourTarget(from, key) {
+    const [dx, dy] = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1],
+    }[key];
+
+    let best = null;
+    let bestScore = Infinity;
+    for (const target of focusTargets) {
+        const offsetX = target.x - from.x;
+        const offsetY = target.y - from.y;
+        const ahead = offsetX * dx + offsetY * dy;
+        if (target === from || ahead <= 0.5) {
+            continue;
         }
-        
-        rect.classList.add('treemap-rect');
-        const nodeType = node.type || 'namespace';
-        
-        if (nodeType === 'namespace') {
-            rect.dataset.namespace = node.fullName;
-        } else if (nodeType === 'file') {
-            rect.dataset.file = node.fullName;
-        } else if (nodeType === 'method') {
-            rect.dataset.method = node.fullName;
+        const aside = Math.abs(offsetX * dy - offsetY * dx);
+        const score = ahead + aside * 2;
+        if (score < bestScore) {
+            best = target;
+            bestScore = score;
         }
+    }
+    return best;
+}
 
-        rect.addEventListener('mouseenter', (e) => {
-            showTooltip(node, e);
-        });
-        rect.addEventListener('mouseleave', () => {
-            hideTooltip();
-        });
-        rect.addEventListener('click', (e) => {
-            // Prevent any event bubbling that might interfere
-            e.stopPropagation();
-            
-            // Don't navigate if slider is currently changing
-            if (isSliderChanging) {
-                return;
-            }
-            
-            if (nodeType === 'namespace') {
-                // Navigate to namespace view
-                // Use updateHash to ensure consistent hash handling
-                updateHash(node.fullName, null);
-                if (node.files && node.files.length > 0) {
-                    renderFiles(node.fullName, node.files);
-                } else {
-                    renderFiles(node.fullName, []);
-                }
-            } else if (nodeType === 'file') {
-                // Navigate to methods view
-                if (node.methods && node.methods.length > 0) {
-                    // Find the namespace for this file
-                    const fileNamespace = currentNamespace || findNamespaceForFile(node.fullName);
-                    updateHash(fileNamespace, node.name);
-                    renderMethods(node.fullName, node.methods);
+/**
+ * Open the tile with the keyboard focus, the same as clicking it, and focus the new view.
+ */
+function activateFocusedTile() {
+    const target = focusedTarget;
+    if (!target) {
+        return;
+    }
+    const drillsIn = target.node.type === 'namespace' ||
+        (target.node.type === 'file' && target.node.methods && target.node.methods.length > 0);
+    if (drillsIn) {
+        pendingFocus = true;
+    }
+    hideTooltip();
+    if (target.element) {
+        target.element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    } else {
+        activateTile(target.node);
+    }
+}
+
+/**
+ * Go up a level from the keyboard, focusing the tile of the scope just left.
+ */
+function navigateUpFromKeyboard() {
+    if (currentView === 'namespaces') {
+        return;
+    }
+    pendingFocus = currentView === 'methods'
+        ? { type: 'file', fullName: currentFile }
+        : { type: 'namespace', fullName: currentNamespace };
+    hideTooltip();
+    navigateUp();
+}
+
+/**
+ * Open or close the keyboard shortcut overlay.
+ */
+function toggleShortcutHelp(open) {
+    const help = document.getElementById('shortcut-help');
+    if (!help) {
+        return;
+    }
+    const show = open ?? help.hidden;
+    if (show === !help.hidden) {
+        return;
+    }
+    help.hidden = !show;
+    if (show) {
+        help.returnFocus = document.activeElement;
+        help.querySelector('button')?.focus();
+    } else if (help.returnFocus && help.returnFocus.isConnected) {
+        help.returnFocus.focus();
+    }
+}
+
+/**
+ * Initialize keyboard navigation: arrow keys move between tiles, Enter or Space opens one,
+ * Backspace goes up a level, "/" jumps to search and "?" lists the shortcuts.
+ */
+function initializeKeyboardNavigation() {
+    const container = document.getElementById('treemap-container');
+    if (container) {
+        container.addEventListener('keydown', (e) => {
+            if (!focusedTarget || e.altKey || e.ctrlKey || e.metaKey) {
+                return;
+            }
+            if (e.key.startsWith('Arrow')) {
+                e.preventDefault();
+                const next = findNeighbourTarget(focusedTarget, e.key);
+                if (next) {
+                    focusTileTarget(next);
                 }
-            } else if (nodeType === 'method') {
-                // Show method details
-                showMethodDetails(node);
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                activateFocusedTile();
             }
         });
-        
-        rect.style.cursor = 'pointer';
-        let displayName, title;
-        if (nodeType === 'namespace') {
-            displayName = depth > 0 ? node.name.split('/').pop() : node.name;
-            const namespaceHash = '#' + encodeHash(node.fullName);
-            title = `Click to view files in ${displayName} (${namespaceHash})`;
-        } else if (nodeType === 'file') {
-            displayName = node.name;
-            const fileHash = '#' + encodeHash(node.fullName);
-            title = `Click to view methods in ${displayName} (${fileHash})`;
-        } else if (nodeType === 'method') {
-            displayName = node.name;
-            title = `Click to view details for ${displayName}`;
-        }
-        rect.title = title;
-
-        parentSvg.appendChild(rect);
-
-        // If this node has children, render them nested inside this rectangle
-        if (node.children && node.children.length > 0) {
-            // Create a nested treemap for the children within this parent's rectangle
-            // Use padding to make the nesting visible and space for header
-            const padding = 2;
-            const headerHeight = 18; // Height for header text
-            const availableHeight = node.h - (padding * 2) - headerHeight;
-            const availableWidth = node.w - (padding * 2);
-            
-            // Only render nested content if there's enough space
-            if (availableHeight > 10 && availableWidth > 10) {
-                // Add header text showing what's nested
-                const headerText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                headerText.setAttribute('x', node.x + padding);
-                headerText.setAttribute('y', node.y + padding + 12);
-                headerText.setAttribute('fill', '#fff');
-                headerText.setAttribute('font-size', '11px');
-                headerText.setAttribute('font-weight', 'bold');
-                headerText.setAttribute('text-anchor', 'start');
-                headerText.setAttribute('dominant-baseline', 'middle');
-                
-                // Determine what type of children we have
-                const firstChild = node.children[0];
-                let headerLabel = displayName || node.name;
-                if (firstChild) {
-                    if (firstChild.type === 'namespace') {
-                        headerLabel = `${headerLabel} → Namespaces`;
-                    } else if (firstChild.type === 'file') {
-                        headerLabel = `${headerLabel} → Files`;
-                    } else if (firstChild.type === 'method') {
-                        headerLabel = `${headerLabel} → Methods`;
-                    }
-                }
-                headerText.textContent = headerLabel;
-                parentSvg.appendChild(headerText);
-                
-                // Generate layout for children in the remaining space
-                const childLayout = generateTreemap(
-                    node.children, 
-                    availableWidth, 
-                    availableHeight,
-                    maxAspectRatio
-                );
-                
-                // Render each child node, offset by the parent's position, padding, and header
-                childLayout.forEach(childLayoutNode => {
-                    // Get the original child node to preserve its children
-                    const originalChild = nodeMap.get(childLayoutNode.id) || childLayoutNode;
-                    const childWithOffset = {
-                        ...childLayoutNode,
-                        children: originalChild.children,
-                        x: node.x + childLayoutNode.x + padding,
-                        y: node.y + childLayoutNode.y + padding + headerHeight,
-                    };
-                    renderNodeWithChildren(childWithOffset, parentSvg);
-                });
+    }
+
+    const canvas = document.getElementById('treemap-canvas');
+    if (canvas) {
+        canvas.addEventListener('focus', () => {
+            if (focusedTarget) {
+                focusTileTarget(focusedTarget);
             }
-        } else {
-            // Only show text label if node has no children (to avoid clutter)
-            if (node.w > 100 && node.h > 30) {
-                const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                text.setAttribute('x', node.x + node.w / 2);
-                text.setAttribute('y', node.y + node.h / 2);
-                text.setAttribute('text-anchor', 'middle');
-                text.setAttribute('dominant-baseline', 'middle');
-                text.setAttribute('fill', '#fff');
-                text.setAttribute('font-size', '12px');
-                text.setAttribute('font-weight', 'bold');
-                // Use the displayName we already calculated
-                let labelDisplayName = displayName;
-                if (!labelDisplayName) {
-                    // Fallback if displayName wasn't set
-                    if (nodeType === 'namespace') {
-                        labelDisplayName = depth > 0 ? node.name.split('/').pop() : node.name;
-                    } else {
-                        labelDisplayName = node.name;
-                    }
-                }
-                text.textContent = `${labelDisplayName}\n${node.percent}%`;
-                parentSvg.appendChild(text);
+        });
+        canvas.addEventListener('blur', () => {
+            hideCanvasFocusRing();
+            hideTooltip();
+        });
+    }
+
+    const help = document.getElementById('shortcut-help');
+    if (help) {
+        help.addEventListener('click', (e) => {
+            // Close on the backdrop or the close button
+            if (e.target === help || e.target.closest('button')) {
+                toggleShortcutHelp(false);
             }
-        }
+        });
     }
 
-    // Render all top-level nodes and their nested children
-    layout.forEach(node => {
-        renderNodeWithChildren(node, svg);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && help && !help.hidden) {
+            toggleShortcutHelp(false);
+            return;
+        }
+        const field = e.target.closest?.('input, select, textarea, [contenteditable="true"]');
+        if (field || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+        if (e.key === '?') {
+            e.preventDefault();
+            toggleShortcutHelp();
+        } else if (e.key === '/') {
+            e.preventDefault();
+            document.getElementById('search-input')?.focus();
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            navigateUpFromKeyboard();
+        }
     });
-
-    updateStats();
 }
 
 /**
- * Render file-level treemap for a namespace.
- * @param {boolean} skipHashUpdate - If true, don't update the hash (useful for resize)
+ * Collect every namespace, file and method in currentData for the search box.
+ * Each entry knows the view that shows it as a tile.
+ * @returns {Array} Entries of { type, text, label, context, percent, namespace, file, fullName }
  */
-function renderFiles(namespaceName, files, skipHashUpdate = false) {
-    currentView = 'files';
-    currentNamespace = namespaceName;
-    currentFile = null;
-
-    // Calculate max depth for this namespace and show depth control if needed
-    const namespaceForDepth = findNamespaceByName(namespaceName);
-    let namespaceMaxDepth = 0;
-    if (namespaceForDepth) {
-        namespaceMaxDepth = calculateMaxDepthForNamespace(namespaceForDepth);
-    }
-    
-    const depthControl = document.getElementById('depth-control');
-    const depthSlider = document.getElementById('depth-slider');
-    const depthValue = document.getElementById('depth-value');
-    
-    if (depthControl && depthSlider && depthValue) {
-        if (namespaceMaxDepth > 0) {
-            depthControl.style.display = 'block';
-            depthSlider.setAttribute('max', namespaceMaxDepth);
-            depthSlider.setAttribute('value', currentDepth);
-            depthValue.textContent = getDepthLabel(currentDepth, 'files');
-            
-            // Only replace slider if not currently being dragged (to preserve mouse capture)
-            if (!isSliderChanging) {
-                // Remove existing event listeners by cloning (clean way to remove all listeners)
-                const newSlider = depthSlider.cloneNode(true);
-                depthSlider.parentNode.replaceChild(newSlider, depthSlider);
-                
-                // Add new event listener
-                newSlider.addEventListener('input', (e) => {
-                    isSliderChanging = true;
-                    currentDepth = parseInt(e.target.value, 10);
-                    const depthValueEl = document.getElementById('depth-value');
-                    if (depthValueEl) {
-                        depthValueEl.textContent = getDepthLabel(currentDepth, 'files');
-                    }
-                    // Update hash with new depth (but don't trigger navigation)
-                    updateHash(namespaceName, null, currentDepth);
-                    // Re-render files view with new depth
-                    renderFiles(namespaceName, files, true);
-                    
-                    // Reset flag after a short delay to allow any pending events to complete
-                    setTimeout(() => {
-                        isSliderChanging = false;
-                    }, 100);
+function buildSearchIndex() {
+    const entries = [];
+    const visit = (ns, parentName) => {
+        entries.push({
+            type: 'namespace',
+            text: ns.name,
+            label: ns.name,
+            context: parentName || 'Project',
+            percent: coveragePercent(ns.covered, ns.coverable),
+            namespace: parentName,
+            file: null,
+            fullName: ns.name,
+        });
+        for (const file of ns.files || []) {
+            const fullPath = file.fullPath || file.name;
+            entries.push({
+                type: 'file',
+                text: fullPath,
+                label: file.name,
+                context: fullPath,
+                percent: coveragePercent(file.covered, file.coverable),
+                namespace: ns.name,
+                file: null,
+                fullName: fullPath,
+            });
+            for (const method of file.methods || []) {
+                entries.push({
+                    type: 'method',
+                    text: method.name,
+                    label: method.name,
+                    context: file.name,
+                    percent: coveragePercent(method.covered, method.coverable),
+                    namespace: ns.name,
+                    file: fullPath.split('/').pop(),
+                    fullName: method.name,
                 });
             }
-        } else {
-            depthControl.style.display = 'none';
         }
-    }
-
-    // Update hash (unless we're just re-rendering due to resize)
-    if (!skipHashUpdate) {
-        updateHash(namespaceName, null);
-    }
+        (ns.namespaces || []).forEach(child => visit(child, ns.name));
+    };
+    (currentData ? currentData.namespaces : []).forEach(ns => visit(ns, null));
+    return entries;
+}
 
-    const svg = document.getElementById('treemap-svg');
-    const breadcrumb = document.getElementById('breadcrumb');
-    
-    // If files weren't provided, find them from the namespace structure
-    if (!files || files.length === 0) {
-        const namespace = findNamespaceByName(namespaceName);
-        if (namespace) {
-            files = namespace.files || [];
+/**
+ * Score how well a query fuzzy-matches a text: every query character must appear in order.
+ * Runs of consecutive characters and matches at word starts score higher.
+ * @param {string} query - Lowercase query
+ * @param {string} text - Text to match
+ * @returns {Object|null} { score, positions } with the matched character indexes, or null
+ */
+function fuzzyMatch(query, text) {
+    const lower = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of query) {
+        const index = lower.indexOf(char, from);
+        if (index === -1) {
+            return null;
         }
+        const previous = text[index - 1];
+        if (index === 0 || /[\/\\:_\-. ]/.test(previous) || (previous === previous.toLowerCase() && text[index] !== lower[index])) {
+            score += 8; // Start of a segment or camelCase word
+        }
+        if (positions.length > 0 && index === positions[positions.length - 1] + 1) {
+            score += 5;
+        }
+        score += 1;
+        positions.push(index);
+        from = index + 1;
     }
+    // Prefer tighter matches in shorter texts
+    score -= (positions[positions.length - 1] - positions[0]) * 0.1 + text.length * 0.01;
+    return { score, positions };
+}
 
-    const namespaceHash = '#' + encodeHash(namespaceName);
-    // Build breadcrumb with parent namespaces
-    const namespaceParts = namespaceName ? namespaceName.split('/') : [];
-    let breadcrumbHtml = '<a href="#" onclick="window.location.hash=\'\'; return false;" style="color: #3b82f6; text-decoration: none;">Project</a>';
-    
-    if (namespaceParts.length > 0) {
-        namespaceParts.forEach((part, index) => {
-            const parentPath = namespaceParts.slice(0, index + 1).join('/');
-            const parentHash = '#' + encodeHash(parentPath);
-            if (index < namespaceParts.length - 1) {
-                // Parent namespace - make it clickable
-                breadcrumbHtml += ` / <a href="${parentHash}" style="color: #3b82f6; text-decoration: none;">${part}</a>`;
-            } else {
-                // Current namespace - not clickable
-                breadcrumbHtml += ` / <span>${part}</span>`;
-            }
-        });
+/**
+ * Find the best search entries for a query.
+ * @param {string} query - Text typed in the search box
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Entries with a match property, best first
+ */
+function searchCoverage(query, limit = 20) {
+    const needle = query.trim().toLowerCase().replace(/\s+/g, '');
+    if (!needle) {
+        return [];
     }
-    
-    breadcrumb.innerHTML = breadcrumbHtml;
-
-    const { width, height } = getSvgSize(svg);
-
-    if (width <= 0 || height <= 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle">Unable to determine SVG dimensions</text>';
-        return;
+    if (!searchIndex) {
+        searchIndex = buildSearchIndex();
     }
 
-    // Get namespace for rendering
-    const namespaceForRender = namespaceForDepth || findNamespaceByName(namespaceName);
-    const nestedNamespaces = namespaceForRender?.namespaces || [];
-    
-    // Check if we have anything to show (files or nested namespaces)
-    if ((!files || files.length === 0) && nestedNamespaces.length === 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">No files or sub-namespaces in this namespace</text>';
-        updateStats();
-        return;
-    }
-    
-    // Use hierarchical structure if depth > 0, otherwise use flat structure
-    let allNodes = [];
-    if (currentDepth > 0 && namespaceForRender) {
-        // Build hierarchical structure
-        allNodes = buildHierarchicalNamespaceContent(namespaceForRender, currentDepth, 0);
-    } else {
-        // Depth 0: Flat structure (original behavior)
-        // Add files as nodes
-        if (files && files.length > 0) {
-            files.forEach(file => {
-                const weight = file.coverable > 0 ? file.coverable : 0.5;
-                allNodes.push({
-                    id: file.fullPath || file.name,
-                    name: file.name,
-                    fullName: file.fullPath || file.name,
-                    weight: weight,
-                    coverable: file.coverable,
-                    covered: file.covered,
-                    percent: coveragePercent(file.covered, file.coverable),
-                    methods: file.methods,
-                    depth: 0,
-                    children: null,
-                    type: 'file',
-                });
-            });
+    const results = [];
+    for (const entry of searchIndex) {
+        const match = fuzzyMatch(needle, entry.text);
+        if (match) {
+            results.push({ ...entry, match });
         }
-        
-        // Add nested namespaces as nodes
-        nestedNamespaces.forEach(ns => {
-            allNodes.push({
-                id: ns.name,
-                name: ns.name.split('/').pop(),
-                fullName: ns.name,
-                weight: ns.coverable,
-                coverable: ns.coverable,
-                covered: ns.covered,
-                percent: coveragePercent(ns.covered, ns.coverable),
-                files: ns.files,
-                namespaces: ns.namespaces || [],
-                depth: 0,
-                children: null,
-                type: 'namespace',
-            });
-        });
     }
-    
-    // Handle empty case
-    if (allNodes.length === 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">No files or sub-namespaces in this namespace</text>';
-        updateStats();
+    return results.sort((a, b) => b.match.score - a.match.score).slice(0, limit);
+}
+
+/**
+ * Initialize the search box and its result dropdown.
+ */
+function initializeSearch() {
+    const input = document.getElementById('search-input');
+    const list = document.getElementById('search-results');
+    if (!input || !list) {
         return;
     }
 
-    const layout = generateTreemap(allNodes, width, height, maxAspectRatio);
-    svg.innerHTML = '';
-    
-    // Set SVG viewBox to match the coordinate system
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
+    let results = [];
+    let active = -1;
 
-    // Create a map from node id to original node to preserve children
-    const nodeMap = new Map();
-    function buildNodeMap(nodeList) {
-        for (const node of nodeList) {
-            nodeMap.set(node.id, node);
-            if (node.children) {
-                buildNodeMap(node.children);
-            }
+    const close = () => {
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+        active = -1;
+    };
+
+    const setActive = (index) => {
+        const items = list.querySelectorAll('li[role="option"]');
+        items.forEach((item, i) => item.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+        active = index;
+        if (items[index]) {
+            input.setAttribute('aria-activedescendant', items[index].id);
+            items[index].scrollIntoView?.({ block: 'nearest' });
         }
-    }
-    buildNodeMap(allNodes);
+    };
 
-    // Function to render a node and its nested children recursively (same as in renderNamespaces)
-    function renderNodeWithChildren(layoutNode, parentSvg) {
-        // Get the original node to access children
-        const originalNode = nodeMap.get(layoutNode.id) || layoutNode;
-        const node = { ...layoutNode, children: originalNode.children };
-        
-        // Use very small thresholds to ensure all nodes are rendered
-        if (!isFinite(node.x) || !isFinite(node.y) || !isFinite(node.w) || !isFinite(node.h) || 
-            node.w < 0.05 || node.h < 0.05) {
+    const choose = (index) => {
+        const entry = results[index];
+        if (!entry) {
             return;
         }
-        
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', node.x);
-        rect.setAttribute('y', node.y);
-        rect.setAttribute('width', node.w);
-        rect.setAttribute('height', node.h);
-        rect.setAttribute('fill', getCoverageColor(node.percent));
-        rect.setAttribute('stroke', '#fff');
-        
-        const depth = node.depth || 0;
-        const strokeWidth = 1 + (depth * 0.5);
-        rect.setAttribute('stroke-width', strokeWidth.toString());
-        
-        if (depth > 0) {
-            rect.setAttribute('opacity', (1 - depth * 0.1).toString());
-        }
-        
-        rect.classList.add('treemap-rect');
-        const nodeType = node.type || 'file';
-        
-        if (nodeType === 'namespace') {
-            rect.dataset.namespace = node.fullName;
-        } else if (nodeType === 'file') {
-            rect.dataset.file = node.fullName;
-        } else if (nodeType === 'method') {
-            rect.dataset.method = node.fullName;
-        }
+        close();
+        input.blur();
+        navigateToSearchResult(entry);
+    };
 
-        rect.addEventListener('mouseenter', (e) => {
-            showTooltip(node, e);
-        });
-        rect.addEventListener('mouseleave', () => {
-            hideTooltip();
-        });
-        rect.addEventListener('click', (e) => {
-            // Prevent any event bubbling that might interfere
-            e.stopPropagation();
-            
-            // Don't navigate if slider is currently changing
-            if (isSliderChanging) {
-                return;
-            }
-            
-            if (nodeType === 'namespace') {
-                // Navigate to namespace view
-                // Use updateHash to ensure consistent hash handling
-                updateHash(node.fullName, null);
-                if (node.files && node.files.length > 0) {
-                    renderFiles(node.fullName, node.files);
-                } else {
-                    renderFiles(node.fullName, []);
-                }
-            } else if (nodeType === 'file') {
-                // Navigate to methods view
-                if (node.methods && node.methods.length > 0) {
-                    const fullPath = currentNamespace ? `${currentNamespace}/${node.name}` : node.name;
-                    updateHash(currentNamespace, node.name);
-                    renderMethods(node.fullName, node.methods);
-                }
-            } else if (nodeType === 'method') {
-                // Show method details
-                showMethodDetails(node);
-            }
-        });
-        
-        rect.style.cursor = 'pointer';
-        let displayName, title;
-        if (nodeType === 'namespace') {
-            displayName = node.name;
-            const namespaceHash = '#' + encodeHash(node.fullName);
-            title = `Click to view ${displayName} namespace (${namespaceHash})`;
-        } else if (nodeType === 'file') {
-            displayName = node.name;
-            const fullPath = currentNamespace ? `${currentNamespace}/${node.name}` : node.name;
-            const fileHash = '#' + encodeHash(fullPath);
-            title = `Click to view methods in ${displayName} (${fileHash})`;
-        } else if (nodeType === 'method') {
-            displayName = node.name;
-            title = `Click to view details for ${displayName}`;
-        }
-        rect.title = title;
-
-        parentSvg.appendChild(rect);
-
-        // If this node has children, render them nested inside this rectangle
-        if (node.children && node.children.length > 0) {
-            // Use padding to make the nesting visible and space for header
-            const padding = 2;
-            const headerHeight = 18; // Height for header text
-            const availableHeight = node.h - (padding * 2) - headerHeight;
-            const availableWidth = node.w - (padding * 2);
-            
-            // Only render nested content if there's enough space
-            if (availableHeight > 10 && availableWidth > 10) {
-                // Add header text showing what's nested
-                const headerText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                headerText.setAttribute('x', node.x + padding);
-                headerText.setAttribute('y', node.y + padding + 12);
-                headerText.setAttribute('fill', '#fff');
-                headerText.setAttribute('font-size', '11px');
-                headerText.setAttribute('font-weight', 'bold');
-                headerText.setAttribute('text-anchor', 'start');
-                headerText.setAttribute('dominant-baseline', 'middle');
-                
-                // Determine what type of children we have
-                const firstChild = node.children[0];
-                let headerLabel = displayName || node.name;
-                if (firstChild) {
-                    if (firstChild.type === 'namespace') {
-                        headerLabel = `${headerLabel} → Namespaces`;
-                    } else if (firstChild.type === 'file') {
-                        headerLabel = `${headerLabel} → Files`;
-                    } else if (firstChild.type === 'method') {
-                        headerLabel = `${headerLabel} → Methods`;
-                    }
-                }
-                headerText.textContent = headerLabel;
-                parentSvg.appendChild(headerText);
-                
-                // Generate layout for children in the remaining space
-                const childLayout = generateTreemap(
-                    node.children, 
-                    availableWidth, 
-                    availableHeight,
-                    maxAspectRatio
-                );
-                
-                // Render each child node, offset by the parent's position, padding, and header
-                childLayout.forEach(childLayoutNode => {
-                    const originalChild = nodeMap.get(childLayoutNode.id) || childLayoutNode;
-                    const childWithOffset = {
-                        ...childLayoutNode,
-                        children: originalChild.children,
-                        x: node.x + childLayoutNode.x + padding,
-                        y: node.y + childLayoutNode.y + padding + headerHeight,
-                    };
-                    renderNodeWithChildren(childWithOffset, parentSvg);
-                });
+    input.addEventListener('input', () => {
+        results = searchCoverage(input.value);
+        list.innerHTML = '';
+        if (results.length === 0) {
+            if (input.value.trim()) {
+                const empty = document.createElement('li');
+                empty.className = 'search-empty';
+                empty.textContent = 'No matches';
+                list.appendChild(empty);
+                list.hidden = false;
+            } else {
+                close();
             }
-        } else {
-            // Only show text label if node has no children
-            if (node.w > 50 && node.h > 20) {
-                const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                text.setAttribute('x', node.x + node.w / 2);
-                text.setAttribute('y', node.y + node.h / 2);
-                text.setAttribute('text-anchor', 'middle');
-                text.setAttribute('dominant-baseline', 'middle');
-                text.setAttribute('fill', '#fff');
-                text.setAttribute('font-size', node.w > 100 && node.h > 30 ? '12px' : '10px');
-                text.setAttribute('font-weight', 'bold');
-                const percentText = typeof node.percent === 'string' && node.percent === 'N/A' ? 'N/A' : `${node.percent}%`;
-                text.textContent = node.w > 100 && node.h > 30 ? `${displayName}\n${percentText}` : displayName;
-                parentSvg.appendChild(text);
+            return;
+        }
+
+        results.forEach((entry, index) => list.appendChild(createSearchResultItem(entry, index)));
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        setActive(0);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActive((active + step + results.length) % results.length);
             }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            choose(active);
+        } else if (e.key === 'Escape') {
+            close();
         }
-    }
+    });
 
-    // Render all top-level nodes and their nested children
-    layout.forEach(node => {
-        renderNodeWithChildren(node, svg);
+    input.addEventListener('focus', () => {
+        if (results.length > 0) {
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
     });
+    input.addEventListener('blur', close);
 
-    updateStats();
+    // Keep focus in the input so the blur handler doesn't close the list before the click lands
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('li[role="option"]');
+        if (item) {
+            choose(Number(item.dataset.index));
+        }
+    });
 }
 
 /**
- * Render method-level treemap for a file.
- * @param {boolean} skipHashUpdate - If true, don't update the hash (useful for resize)
+ * Build the dropdown row for a search result, with the matched characters marked.
  */
-function renderMethods(fileName, methods, skipHashUpdate = false) {
-    currentView = 'methods';
-    currentFile = fileName;
+function createSearchResultItem(entry, index) {
+    const item = document.createElement('li');
+    item.id = `search-result-${index}`;
+    item.setAttribute('role', 'option');
+    item.dataset.index = index;
 
-    // Hide depth slider when viewing methods
-    const depthControl = document.getElementById('depth-control');
-    if (depthControl) {
-        depthControl.style.display = 'none';
-    }
+    const swatch = document.createElement('span');
+    swatch.className = 'search-swatch';
+    swatch.style.backgroundColor = getCoverageColor(entry.percent);
+    item.appendChild(swatch);
 
-    // Ensure we have a namespace - if not, try to find it from the file
-    if (!currentNamespace) {
-        // Try to find which namespace contains this file
-        for (const ns of currentData.namespaces) {
-            const fileObj = ns.files.find(f => 
-                (f.fullPath || f.name) === fileName || f.name === fileName
-            );
-            if (fileObj) {
-                currentNamespace = ns.name;
-                break;
+    const type = document.createElement('span');
+    type.className = 'search-type';
+    type.textContent = entry.type;
+    item.appendChild(type);
+
+    // The label is the tail of the matched text for files, and the whole text otherwise
+    const name = document.createElement('span');
+    name.className = 'search-name';
+    const offset = entry.text.length - entry.label.length;
+    const marked = new Set(entry.match.positions.map(position => position - offset));
+    let run = '';
+    let runMarked = false;
+    const flush = () => {
+        if (run) {
+            const node = runMarked ? document.createElement('mark') : document.createTextNode(run);
+            if (runMarked) {
+                node.textContent = run;
             }
+            name.appendChild(node);
         }
-    }
+        run = '';
+    };
+    [...entry.label].forEach((char, i) => {
+        if (marked.has(i) !== runMarked) {
+            flush();
+            runMarked = marked.has(i);
+        }
+        run += char;
+    });
+    flush();
+    item.appendChild(name);
 
-    // Update hash - need to find the file's actual name
-    const fileObj = currentNamespace ? 
-        currentData.namespaces.find(ns => ns.name === currentNamespace)?.files.find(f => 
-            (f.fullPath || f.name) === fileName || f.name === fileName
-        ) : null;
-    const fileDisplayName = fileObj ? fileObj.name : fileName.split('/').pop();
-    
-    updateHash(currentNamespace, fileDisplayName);
+    const context = document.createElement('span');
+    context.className = 'search-context';
+    context.textContent = entry.type === 'file' ? entry.context : `in ${entry.context}`;
+    item.appendChild(context);
 
-    const svg = document.getElementById('treemap-svg');
-    const breadcrumb = document.getElementById('breadcrumb');
+    const percent = document.createElement('span');
+    percent.className = 'search-percent';
+    percent.textContent = formatPercent(entry.percent);
+    item.appendChild(percent);
 
-    // Build breadcrumb with nested namespaces properly split
-    let breadcrumbHtml = '<a href="#" onclick="window.location.hash=\'\'; return false;" style="color: #3b82f6; text-decoration: none;">Project</a>';
-    
-    if (currentNamespace) {
-        // Split namespace into parts (e.g., "Models/Ingredients" -> ["Models", "Ingredients"])
-        const namespaceParts = currentNamespace.split('/');
-        namespaceParts.forEach((part, index) => {
-            const parentPath = namespaceParts.slice(0, index + 1).join('/');
-            const parentHash = '#' + encodeHash(parentPath);
-            // All namespace parts are clickable links
-            breadcrumbHtml += ` / <a href="${parentHash}" style="color: #3b82f6; text-decoration: none;">${part}</a>`;
-        });
+    return item;
+}
+
+/**
+ * Go to the view that shows a search result as a tile, and pulse the tile once it's drawn.
+ */
+function navigateToSearchResult(entry) {
+    pendingHighlight = { type: entry.type, fullName: entry.fullName };
+    updateHash(entry.namespace, entry.file);
+    navigateFromHash();
+}
+
+/**
+ * List every test ID in the report, sorted. Tests of hidden code are included, so a
+ * picked test stays valid whatever the filters.
+ */
+function getAllTests() {
+    if (!allTests) {
+        allTests = [...getTestIndex().keys()].sort();
     }
-    
-    // Add the file name as the final non-clickable part (use the already declared fileDisplayName)
-    breadcrumb.innerHTML = breadcrumbHtml + ` / <span>${fileDisplayName}</span>`;
+    return allTests;
+}
 
-    // Update hash (unless we're just re-rendering due to resize)
-    if (!skipHashUpdate) {
-        updateHash(currentNamespace, fileDisplayName);
+/**
+ * Build the inverted index from the tests array of every method in the report.
+ * A test is redundant when every method it covers is covered by some other test too.
+ * @returns {Map<string, Object>} Test ID to { test, methods, files, namespaces, redundant },
+ *   where methods, files and namespaces are Sets of names
+ */
+function getTestIndex() {
+    if (testIndex) {
+        return testIndex;
     }
 
-    const { width, height } = getSvgSize(svg);
+    testIndex = new Map();
+    const visit = (ns) => {
+        for (const file of ns.files || []) {
+            for (const method of file.methods || []) {
+                const tests = new Set(method.tests || []);
+                for (const test of tests) {
+                    if (!testIndex.has(test)) {
+                        testIndex.set(test, {
+                            test,
+                            methods: new Set(),
+                            files: new Set(),
+                            namespaces: new Set(),
+                            redundant: true,
+                        });
+                    }
+                    const entry = testIndex.get(test);
+                    entry.methods.add(method.name);
+                    entry.files.add(file.fullPath || file.name);
+                    entry.namespaces.add(ns.name);
+                    if (tests.size === 1) {
+                        entry.redundant = false;
+                    }
+                }
+            }
+        }
+        (ns.namespaces || []).forEach(visit);
+    };
+    (COVERAGE_DATA.namespaces || []).forEach(visit);
+    return testIndex;
+}
 
-    // Ensure valid dimensions
-    if (width <= 0 || height <= 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle">Unable to determine SVG dimensions</text>';
-        return;
-    }
+/**
+ * Columns of the test inventory, with how each sorts.
+ */
+const TEST_INVENTORY_COLUMNS = [
+    { key: 'test', label: 'Test', value: entry => entry.test },
+    { key: 'methods', label: 'Methods', value: entry => entry.methods.size },
+    { key: 'files', label: 'Files', value: entry => entry.files.size },
+    { key: 'namespaces', label: 'Namespaces', value: entry => entry.namespaces.size },
+];
 
-    // Check if we have any methods
-    if (!methods || methods.length === 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">No methods found in this file</text>';
-        updateStats();
-        return;
+/**
+ * Initialize the test inventory panel: every test with how much code it touches. Clicking a
+ * test shows a treemap of just that code.
+ */
+function initializeTestInventory() {
+    registerHashOption('test', '', () => scopedTest || '', (value) => {
+        const test = value || null;
+        if (test === scopedTest) {
+            return;
+        }
+        scopedTest = test;
+        applyDataFilters();
+        renderTestScope();
+    });
+
+    const clear = document.getElementById('test-scope-clear');
+    if (clear) {
+        clear.addEventListener('click', () => {
+            scopedTest = null;
+            applyDataFilters();
+            renderTestScope();
+            updateHashForCurrentView();
+            rerenderCurrentView();
+        });
     }
 
-    // Map methods to nodes - use coverable as weight
-    // For methods with 0 coverable, use a small but non-zero weight so they still render
-    const nodes = methods.map(method => ({
-        id: method.name,
-        name: method.name.split('::').pop(),
-        fullName: method.name,
-        weight: method.coverable > 0 ? method.coverable : 0.5, // Small weight for zero-coverage methods
-        coverable: method.coverable,
-        covered: method.covered,
-        percent: coveragePercent(method.covered, method.coverable),
-        tests: method.tests || [],
-    }));
+    renderTestInventory();
+}
 
-    const layout = generateTreemap(nodes, width, height, maxAspectRatio);
-    
-    // If no layout generated, show a message
-    if (layout.length === 0) {
-        svg.innerHTML = '<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="#666" font-size="14px">Unable to generate treemap layout</text>';
-        updateStats();
+/**
+ * Draw the test inventory table, sorted by testInventorySort.
+ */
+function renderTestInventory() {
+    const panel = document.getElementById('test-inventory');
+    if (!panel) {
         return;
     }
 
-    svg.innerHTML = '';
-    
-    // Set SVG viewBox to match the coordinate system
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
+    const entries = [...getTestIndex().values()];
+    const redundant = entries.filter(entry => entry.redundant).length;
+    panel.querySelector('.test-inventory-summary').textContent = entries.length === 0
+        ? 'No tests are recorded in this report.'
+        : `${entries.length} ${entries.length === 1 ? 'test' : 'tests'} · ` +
+            `${redundant} only cover code that other tests cover too`;
 
-    layout.forEach(node => {
-        // Validate node dimensions
-        if (!isFinite(node.x) || !isFinite(node.y) || !isFinite(node.w) || !isFinite(node.h) || 
-            node.w <= 0 || node.h <= 0) {
-            return; // Skip invalid nodes
-        }
-        
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', node.x);
-        rect.setAttribute('y', node.y);
-        rect.setAttribute('width', node.w);
-        rect.setAttribute('height', node.h);
-        rect.setAttribute('fill', getCoverageColor(node.percent));
-        rect.setAttribute('stroke', '#fff');
-        rect.setAttribute('stroke-width', '1');
-        rect.classList.add('treemap-rect');
-        rect.dataset.method = node.fullName;
+    const { key: sortKey, descending } = testInventorySort;
+    const column = TEST_INVENTORY_COLUMNS.find(candidate => candidate.key === sortKey);
+    entries.sort((a, b) => {
+        const x = column.value(a);
+        const y = column.value(b);
+        const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        // Ties keep a stable alphabetical order
+        return (descending ? -order : order) || a.test.localeCompare(b.test);
+    });
 
-        rect.addEventListener('mouseenter', () => {
-            showTooltip(node, event);
-        });
-        rect.addEventListener('mouseleave', () => {
-            hideTooltip();
-        });
-        rect.addEventListener('click', () => {
-            showMethodDetails(node);
+    const head = panel.querySelector('thead tr');
+    head.innerHTML = '';
+    for (const { key, label } of TEST_INVENTORY_COLUMNS) {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.setAttribute('aria-sort', key === sortKey ? (descending ? 'descending' : 'ascending') : 'none');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label + (key === sortKey ? (descending ? ' \u25bc' : ' \u25b2') : '');
+        button.addEventListener('click', () => {
+            // Counts start with the largest, names with A
+            testInventorySort = { key, descending: key === sortKey ? !descending : key !== 'test' };
+            renderTestInventory();
         });
+        th.appendChild(button);
+        head.appendChild(th);
+    }
 
-        svg.appendChild(rect);
+    const body = panel.querySelector('tbody');
+    body.innerHTML = '';
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+        if (entry.test === scopedTest) {
+            row.className = 'scoped';
+        }
 
-        if (node.w > 80 && node.h > 25) {
-            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            text.setAttribute('x', node.x + node.w / 2);
-            text.setAttribute('y', node.y + node.h / 2);
-            text.setAttribute('text-anchor', 'middle');
-            text.setAttribute('dominant-baseline', 'middle');
-            text.setAttribute('fill', '#fff');
-            text.setAttribute('font-size', '11px');
-            text.textContent = `${node.name}\n${node.percent}%`;
-            svg.appendChild(text);
+        const name = document.createElement('td');
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'test-link';
+        link.textContent = entry.test;
+        link.title = `Show only the code ${entry.test} covers`;
+        link.addEventListener('click', () => scopeToTest(entry.test));
+        name.appendChild(link);
+        if (entry.redundant) {
+            const flag = document.createElement('span');
+            flag.className = 'redundant-flag';
+            flag.textContent = 'redundant';
+            flag.title = 'Every method this test covers is also covered by another test';
+            name.appendChild(flag);
         }
-    });
+        row.appendChild(name);
 
-    updateStats();
+        for (const { key, value } of TEST_INVENTORY_COLUMNS.slice(1)) {
+            const cell = document.createElement('td');
+            cell.className = `count ${key}`;
+            cell.textContent = value(entry);
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    }
 }
 
 /**
- * Show tooltip on hover.
+ * Show a treemap of only the code a test covers, starting from the project level.
  */
-function showTooltip(node, event) {
-    const tooltip = document.getElementById('tooltip');
-    tooltip.innerHTML = `
-        <strong>${node.fullName || node.name}</strong><br>
-        Coverage: ${node.covered}/${node.coverable} (${node.percent}%)<br>
-        ${node.tests ? `Tests: ${node.tests.length}` : ''}
-    `;
-    tooltip.style.display = 'block';
-    tooltip.style.left = event.pageX + 10 + 'px';
-    tooltip.style.top = event.pageY + 10 + 'px';
+function scopeToTest(test) {
+    scopedTest = test;
+    applyDataFilters();
+    renderTestScope();
+    hideMethodDetails();
+    renderNamespaces();
+    document.getElementById('treemap-container').scrollIntoView({
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+        block: 'start',
+    });
 }
 
 /**
- * Hide tooltip.
+ * Show which test the views are scoped to, and mark its row in the inventory.
  */
-function hideTooltip() {
-    document.getElementById('tooltip').style.display = 'none';
+function renderTestScope() {
+    const scope = document.getElementById('test-scope');
+    if (scope) {
+        scope.hidden = !scopedTest;
+        scope.querySelector('.test-scope-name').textContent = scopedTest || '';
+    }
+    renderTestInventory();
 }
 
 /**
- * Show method details.
+ * Replace the highlighted tests. Callers redraw the view.
+ * @param {Iterable<string>} tests - Test IDs
  */
-function showMethodDetails(method) {
-    const details = document.getElementById('method-details');
-    details.innerHTML = `
-        <h3>${method.fullName}</h3>
-        <p>Coverage: ${method.covered}/${method.coverable} (${method.percent}%)</p>
-        ${method.tests && method.tests.length > 0 ? `
-            <h4>Tests covering this method:</h4>
-            <ul>
-                ${method.tests.map(test => `<li>${test}</li>`).join('')}
-            </ul>
-        ` : '<p>No tests cover this method.</p>'}
-    `;
-    details.style.display = 'block';
+function setHighlightedTests(tests) {
+    highlightedTests = new Set(tests);
+    testReachCache = new WeakMap();
+    renderSelectedTests();
 }
 
 /**
- * Update statistics display.
+ * Show the highlighted tests as removable chips next to the test picker.
  */
-function updateStats() {
-    if (!currentData) {
+function renderSelectedTests() {
+    const list = document.getElementById('selected-tests');
+    if (!list) {
         return;
     }
+    list.innerHTML = '';
+    for (const test of highlightedTests) {
+        const item = document.createElement('li');
+        item.className = 'test-chip';
+        const name = document.createElement('span');
+        name.textContent = test;
+        name.title = test;
+        item.appendChild(name);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '\u00d7';
+        remove.setAttribute('aria-label', `Stop highlighting ${test}`);
+        remove.addEventListener('click', () => {
+            setHighlightedTests([...highlightedTests].filter(other => other !== test));
+            updateHashForCurrentView();
+            rerenderCurrentView();
+        });
+        item.appendChild(remove);
+        list.appendChild(item);
+    }
+}
 
-    let totalCoverable = 0;
-    let totalCovered = 0;
+/**
+ * Initialize the test picker: an autocomplete over every test ID in the report. Picked tests
+ * light up the code they cover, and everything else is dimmed.
+ */
+function initializeTestPicker() {
+    const input = document.getElementById('test-input');
+    const list = document.getElementById('test-options');
 
-    if (currentView === 'namespaces') {
-        currentData.namespaces.forEach(ns => {
-            totalCoverable += ns.coverable;
-            totalCovered += ns.covered;
-        });
-    } else if (currentView === 'files' && currentNamespace) {
-        const namespace = findNamespaceByName(currentNamespace);
-        if (namespace) {
-            namespace.files.forEach(file => {
-                totalCoverable += file.coverable;
-                totalCovered += file.covered;
-            });
+    // Test IDs are URI-encoded one by one, so commas inside data set names survive
+    registerHashOption('tests', '', () => [...highlightedTests].map(encodeURIComponent).join(','), (value) => {
+        const tests = value ? value.split(',').map(test => {
+            try {
+                return decodeURIComponent(test);
+            } catch (e) {
+                return test;
+            }
+        }) : [];
+        if (tests.join('\n') !== [...highlightedTests].join('\n')) {
+            setHighlightedTests(tests);
         }
-    } else if (currentFile) {
-        // Find file in current namespace
-        if (currentNamespace) {
-            const namespace = findNamespaceByName(currentNamespace);
-            if (namespace) {
-                const file = namespace.files.find(f => (f.fullPath || f.name) === currentFile);
-                if (file && file.methods) {
-                    file.methods.forEach(method => {
-                        totalCoverable += method.coverable;
-                        totalCovered += method.covered;
-                    });
-                }
+    });
+
+    if (!input || !list) {
+        return;
+    }
+
+    let results = [];
+    let active = -1;
+
+    const close = () => {
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+        active = -1;
+    };
+
+    const setActive = (index) => {
+        const items = list.querySelectorAll('li[role="option"]');
+        items.forEach((item, i) => item.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+        active = index;
+        if (items[index]) {
+            input.setAttribute('aria-activedescendant', items[index].id);
+            items[index].scrollIntoView?.({ block: 'nearest' });
+        }
+    };
+
+    const choose = (index) => {
+        const test = results[index];
+        if (!test) {
+            return;
+        }
+        input.value = '';
+        results = [];
+        close();
+        setHighlightedTests([...highlightedTests, test]);
+        updateHashForCurrentView();
+        rerenderCurrentView();
+    };
+
+    input.addEventListener('input', () => {
+        const needle = input.value.trim().toLowerCase().replace(/\s+/g, '');
+        list.innerHTML = '';
+        results = [];
+        if (!needle) {
+            close();
+            return;
+        }
+
+        results = getAllTests()
+            .filter(test => !highlightedTests.has(test))
+            .map(test => ({ test, match: fuzzyMatch(needle, test) }))
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, 20)
+            .map(result => result.test);
+        if (results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matching tests';
+            list.appendChild(empty);
+            list.hidden = false;
+            return;
+        }
+
+        results.forEach((test, index) => {
+            const item = document.createElement('li');
+            item.id = `test-option-${index}`;
+            item.setAttribute('role', 'option');
+            item.dataset.index = index;
+            item.textContent = test;
+            list.appendChild(item);
+        });
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        setActive(0);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActive((active + step + results.length) % results.length);
             }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            choose(active);
+        } else if (e.key === 'Escape') {
+            close();
+        } else if (e.key === 'Backspace' && !input.value && highlightedTests.size > 0) {
+            // Like a tag input: Backspace in the empty box removes the last test
+            setHighlightedTests([...highlightedTests].slice(0, -1));
+            updateHashForCurrentView();
+            rerenderCurrentView();
+        }
+    });
+
+    input.addEventListener('blur', close);
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('li[role="option"]');
+        if (item) {
+            choose(Number(item.dataset.index));
+        }
+    });
+}
+
+/**
+ * Pulse the tile requested by pendingHighlight, if the view just drawn has it.
+ */
+function highlightPendingTile() {
+    const target = pendingHighlight;
+    pendingHighlight = null;
+    if (!target) {
+        return;
+    }
+
+    const svg = document.getElementById('treemap-svg');
+    if (svg && svg.style.display !== 'none') {
+        const element = [...svg.querySelectorAll(`[data-${target.type}]`)]
+            .find(candidate => candidate.dataset[target.type] === target.fullName);
+        if (element) {
+            element.classList.remove('search-pulse');
+            // Restart the animation if the same tile is picked again
+            void element.getBoundingClientRect();
+            element.classList.add('search-pulse');
+            element.addEventListener('animationend', () => element.classList.remove('search-pulse'), { once: true });
         }
+        return;
     }
 
-    const percent = coveragePercent(totalCovered, totalCoverable);
-    document.getElementById('stats').textContent =
-        `Total Coverage: ${totalCovered}/${totalCoverable} (${percent}%)`;
+    // Canvas tiles have no elements, so pulse an outline placed over the tile
+    const tile = canvasTiles.find(node => node.type === target.type && node.fullName === target.fullName);
+    const canvas = document.getElementById('treemap-canvas');
+    if (!tile || !canvas || !canvas.parentElement) {
+        return;
+    }
+    const outline = document.createElement('div');
+    outline.className = 'search-pulse-outline';
+    outline.style.left = `${canvas.offsetLeft + tile.x}px`;
+    outline.style.top = `${canvas.offsetTop + tile.y}px`;
+    outline.style.width = `${tile.w}px`;
+    outline.style.height = `${tile.h}px`;
+    outline.addEventListener('animationend', () => outline.remove(), { once: true });
+    canvas.parentElement.appendChild(outline);
 }
 
 function rerenderCurrentView() {
@@ -1889,9 +5385,7 @@ function rerenderCurrentView() {
     if (currentView === 'namespaces') {
         renderNamespaces(true); // Skip hash update during resize
         // Restore hash if it changed
-        if (window.location.hash !== currentHash) {
-            history.replaceState(null, '', currentHash);
-        }
+        replaceHash(currentHash);
         return;
     }
 
@@ -1900,9 +5394,7 @@ function rerenderCurrentView() {
         if (ns) {
             renderFiles(currentNamespace, ns.files || [], true); // Skip hash update
             // Restore hash if it changed
-            if (window.location.hash !== currentHash) {
-                history.replaceState(null, '', currentHash);
-            }
+            replaceHash(currentHash);
             return;
         }
     }
@@ -1928,9 +5420,7 @@ function rerenderCurrentView() {
             currentNamespace = ns.name;
             renderMethods(fileObj.fullPath || fileObj.name, fileObj.methods || [], true); // Skip hash update
             // Restore hash if it changed
-            if (window.location.hash !== currentHash) {
-                history.replaceState(null, '', currentHash);
-            }
+            replaceHash(currentHash);
             return;
         }
     }
@@ -1938,19 +5428,22 @@ function rerenderCurrentView() {
     // Fallback
     renderNamespaces();
     // Restore hash if it changed
-    if (window.location.hash !== currentHash) {
-        history.replaceState(null, '', currentHash);
-    }
+    replaceHash(currentHash);
 }
 
 // Make functions available globally for breadcrumb navigation
 window.renderNamespaces = renderNamespaces;
 window.renderFiles = renderFiles;
 
-// Handle hash changes (back/forward buttons, direct links)
-window.addEventListener('hashchange', () => {
-    navigateFromHash();
-});
+// Follow the URL on Back/Forward, breadcrumb links and edits to the address bar. Both events
+// can fire for one change, so only navigate when the hash differs from the one last drawn.
+const handleLocationChange = () => {
+    if (window.location.hash !== lastRoutedHash) {
+        navigateFromHash();
+    }
+};
+window.addEventListener('popstate', handleLocationChange);
+window.addEventListener('hashchange', handleLocationChange);
 
 // Re-render on resize with debounce
 resizeHandler = debounce(() => {
@@ -17,6 +17,17 @@ final class Config
 
     private string $defaultNamespace;
 
+    private int $canvasTileThreshold;
+
+    /**
+     * @var array<float> Ascending coverage percentages where the color bands change
+     */
+    private array $colorThresholds;
+
+    private string $colorScale;
+
+    private bool $embedSource;
+
     public function __construct(string|null $phpunitXmlPath = null, \PHPUnit\Runner\Extension\ParameterCollection|null $parameters = null)
     {
         $phpunitXmlPath = $phpunitXmlPath ?? $this->findPhpunitXml();
@@ -30,6 +41,30 @@ final class Config
             ? $parameters->get('defaultNamespace')
             : $this->readDefaultNamespace($phpunitXmlPath);
         
+        $this->canvasTileThreshold = $this->parseTileCount(
+            $parameters?->has('canvasTileThreshold')
+                ? $parameters->get('canvasTileThreshold')
+                : $this->readTreemapAttribute($phpunitXmlPath, 'canvasTileThreshold'),
+            2000
+        );
+        
+        $this->colorThresholds = $this->parseColorThresholds(
+            $parameters?->has('colorThresholds')
+                ? $parameters->get('colorThresholds')
+                : $this->readTreemapAttribute($phpunitXmlPath, 'colorThresholds')
+        );
+        
+        $colorScale = $parameters?->has('colorScale')
+            ? $parameters->get('colorScale')
+            : $this->readTreemapAttribute($phpunitXmlPath, 'colorScale');
+        $this->colorScale = $colorScale === 'continuous' ? 'continuous' : 'stepped';
+        
+        $this->embedSource = $this->parseBoolean(
+            $parameters?->has('embedSource')
+                ? $parameters->get('embedSource')
+                : $this->readTreemapAttribute($phpunitXmlPath, 'embedSource')
+        );
+        
         $this->sourceDirectories = $this->readSourceDirectories($phpunitXmlPath);
         $this->excludedDirectories = $this->readExcludedDirectories($phpunitXmlPath);
     }
@@ -54,6 +89,40 @@ final class Config
         return $this->defaultNamespace;
     }
 
+    /**
+     * Number of tiles above which the report draws on a canvas instead of SVG.
+     */
+    public function canvasTileThreshold(): int
+    {
+        return $this->canvasTileThreshold;
+    }
+
+    /**
+     * Coverage percentages where the color changes, ascending.
+     *
+     * @return array<float>
+     */
+    public function colorThresholds(): array
+    {
+        return $this->colorThresholds;
+    }
+
+    /**
+     * Color scale type: 'stepped' (one color per band) or 'continuous' (a gradient between thresholds).
+     */
+    public function colorScale(): string
+    {
+        return $this->colorScale;
+    }
+
+    /**
+     * Whether the report embeds each file's source and per-line coverage for the source view.
+     */
+    public function embedSource(): bool
+    {
+        return $this->embedSource;
+    }
+
     /**
      * Find phpunit.xml in the project root.
      */
@@ -229,5 +298,90 @@ final class Config
         // Fallback to 'App' (common default)
         return 'App';
     }
+
+    /**
+     * Read an attribute of the <treemap> element from phpunit.xml.
+     *
+     * @return string|null The attribute value, or null if it isn't set
+     */
+    private function readTreemapAttribute(string $phpunitXmlPath, string $attribute): string|null
+    {
+        if (! file_exists($phpunitXmlPath)) {
+            return null;
+        }
+
+        $dom = new \DOMDocument;
+        if (! @$dom->load($phpunitXmlPath)) {
+            return null;
+        }
+
+        $xpath = new \DOMXPath($dom);
+
+        // Register namespaces for XPath queries
+        $xpath->registerNamespace('treemap', 'https://github.com/Michael4d45/PHPUnit-Coverage-Treemap');
+
+        // Look for <treemap attribute="..."/> (namespaced or non-namespaced)
+        $treemapNodes = $xpath->query("//treemap:treemap[@{$attribute}] | //treemap[@{$attribute}]");
+        if ($treemapNodes->length > 0) {
+            $value = $treemapNodes->item(0)->getAttribute($attribute);
+            if ($value !== '') {
+                return $value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a comma-separated list of coverage percentages (e.g. "70,90"), falling back to
+     * the default 50/80 bands if any value is missing or outside 0-100.
+     *
+     * @return array<float> Unique thresholds, ascending
+     */
+    private function parseColorThresholds(string|null $value): array
+    {
+        $default = [50.0, 80.0];
+        if ($value === null || trim($value) === '') {
+            return $default;
+        }
+
+        $thresholds = [];
+        foreach (explode(',', $value) as $part) {
+            $part = trim($part);
+            if (! is_numeric($part) || (float) $part < 0 || (float) $part > 100) {
+                return $default;
+            }
+            $thresholds[] = (float) $part;
+        }
+
+        $thresholds = array_values(array_unique($thresholds, \SORT_NUMERIC));
+        sort($thresholds, \SORT_NUMERIC);
+
+        return $thresholds;
+    }
+
+    /**
+     * Parse a boolean setting ("true", "1", "yes" or "on"), defaulting to false.
+     */
+    private function parseBoolean(string|null $value): bool
+    {
+        if ($value === null) {
+            return false;
+        }
+
+        return in_array(strtolower(trim($value)), ['true', '1', 'yes', 'on'], true);
+    }
+
+    /**
+     * Parse a non-negative tile count, falling back to the default for missing or invalid values.
+     */
+    private function parseTileCount(string|null $value, int $default): int
+    {
+        if ($value === null || ! ctype_digit(trim($value))) {
+            return $default;
+        }
+
+        return (int) trim($value);
+    }
 }
 
@@ -19,6 +19,13 @@ final class TreemapGenerator
 
     private string $projectRoot;
 
+    private bool $embedSource;
+
+    /**
+     * Report settings passed to the UI as TREEMAP_OPTIONS.
+     */
+    private array $viewOptions;
+
     public function __construct(string|null $outputDirectory = null)
     {
         $config = Extension::config();
@@ -26,6 +33,12 @@ final class TreemapGenerator
         $this->sourceDirectories = $config->sourceDirectories();
         $this->excludedDirectories = $config->excludedDirectories();
         $this->defaultNamespace = $config->defaultNamespace();
+        $this->embedSource = $config->embedSource();
+        $this->viewOptions = [
+            'canvasTileThreshold' => $config->canvasTileThreshold(),
+            'colorThresholds' => $config->colorThresholds(),
+            'colorScale' => $config->colorScale(),
+        ];
 
         // Find project root (directory containing phpunit.xml)
         $this->projectRoot = getcwd() ?: __DIR__;
@@ -48,6 +61,10 @@ final class TreemapGenerator
         // Build hierarchical structure grouped by namespace
         $namespaces = [];
 
+        // The source view refers to tests by their index in this list, keeping per-line data small
+        $tests = array_map('strval', array_keys($testCoverage));
+        $testIndexes = array_flip($tests);
+
         // Get all PHP files from source directories, respecting phpunit.xml exclusions
         $allAppFiles = $this->getAllSourceFiles();
 
@@ -93,12 +110,25 @@ final class TreemapGenerator
 
                 $methods[] = [
                     'name' => $methodName,
+                    'startLine' => $startLine,
+                    'endLine' => $endLine,
                     'coverable' => $methodCoverable,
                     'covered' => $methodCovered,
                     'tests' => array_values($methodTests),
                 ];
             }
 
+            $fileData = [
+                'name' => $fileName,
+                'fullPath' => $file,
+                'coverable' => $fileCoverable,
+                'covered' => $fileCovered,
+                'methods' => $methods,
+            ];
+            if ($this->embedSource) {
+                $fileData += $this->getFileSource($file, $coverableLineNumbers, $testCoverage, $testIndexes);
+            }
+
             // Build hierarchical namespace structure
             // Split namespace by '/' to create nested structure
             $namespaceParts = $namespace === '' ? [] : explode('/', $namespace);
@@ -120,13 +150,7 @@ final class TreemapGenerator
                 // If this is the last part, we're at the target namespace level
                 if ($index === count($namespaceParts) - 1) {
                     // Add file to this namespace level
-                    $currentLevel[$part]['files'][] = [
-                        'name' => $fileName,
-                        'fullPath' => $file,
-                        'coverable' => $fileCoverable,
-                        'covered' => $fileCovered,
-                        'methods' => $methods,
-                    ];
+                    $currentLevel[$part]['files'][] = $fileData;
 
                     // Update this namespace's totals
                     if (! isset($currentLevel[$part]['coverable'])) {
@@ -158,13 +182,7 @@ final class TreemapGenerator
                         'namespaces' => [],
                     ];
                 }
-                $namespaces[$rootNamespace]['files'][] = [
-                    'name' => $fileName,
-                    'fullPath' => $file,
-                    'coverable' => $fileCoverable,
-                    'covered' => $fileCovered,
-                    'methods' => $methods,
-                ];
+                $namespaces[$rootNamespace]['files'][] = $fileData;
                 $namespaces[$rootNamespace]['coverable'] += $fileCoverable;
                 $namespaces[$rootNamespace]['covered'] += $fileCovered;
             }
@@ -224,6 +242,9 @@ final class TreemapGenerator
         $data = [
             'namespaces' => $namespaceArray,
         ];
+        if ($this->embedSource) {
+            $data['tests'] = $tests;
+        }
 
         // Ensure output directory exists
         if (! is_dir($this->outputDirectory)) {
@@ -257,6 +278,43 @@ final class TreemapGenerator
         return array_unique($coveredLines);
     }
 
+    /**
+     * Read a file's source lines and which tests cover each of its executable lines.
+     * lineCoverage maps every executable line to the indexes of the tests covering it (none
+     * when uncovered); lines that aren't executable are left out.
+     *
+     * @param  array<int>  $coverableLineNumbers
+     * @param  array<string, array<string, array<int, int>>>  $testCoverage
+     * @param  array<string, int>  $testIndexes  Test ID => index in the report's test list
+     * @return array{source?: array<string>, lineCoverage?: object} Empty if the file can't be read
+     */
+    private function getFileSource(string $file, array $coverableLineNumbers, array $testCoverage, array $testIndexes): array
+    {
+        $content = @file_get_contents($file);
+        if ($content === false) {
+            return [];
+        }
+
+        $lineCoverage = [];
+        foreach ($coverableLineNumbers as $line) {
+            $lineCoverage[$line] = [];
+        }
+
+        foreach ($testCoverage as $testId => $testCoverageData) {
+            foreach ($testCoverageData[$file] ?? [] as $line => $hitCount) {
+                if ($hitCount > 0 && isset($lineCoverage[$line])) {
+                    $lineCoverage[$line][] = $testIndexes[(string) $testId];
+                }
+            }
+        }
+
+        return [
+            'source' => preg_split('/\r\n|\r|\n/', $content),
+            // An object even when empty, so the UI can always look lines up by number
+            'lineCoverage' => (object) $lineCoverage,
+        ];
+    }
+
     /**
      * Get tests that cover specific lines in a file.
      *
@@ -412,19 +470,24 @@ final class TreemapGenerator
             throw new \RuntimeException("Could not read ui.js from: {$sourceDir}/ui.js");
         }
 
-        // Embed JSON data as JavaScript variable
-        $jsonData = \json_encode($data, \JSON_PRETTY_PRINT | \JSON_UNESCAPED_SLASHES);
-        $embeddedData = "const COVERAGE_DATA = {$jsonData};\n";
+        // Embed JSON data as JavaScript variable. Embedded source may contain "</script>" or
+        // invalid UTF-8, which would end the script block early or make encoding fail.
+        $jsonData = \json_encode($data, \JSON_PRETTY_PRINT | \JSON_UNESCAPED_SLASHES | \JSON_HEX_TAG | \JSON_INVALID_UTF8_SUBSTITUTE);
+        $optionsJson = \json_encode($this->viewOptions, \JSON_UNESCAPED_SLASHES);
+        $embeddedData = "const COVERAGE_DATA = {$jsonData};\nconst TREEMAP_OPTIONS = {$optionsJson};\n";
 
-        // Combine into inline script block
+        // Combine into inline script blocks. The treemap algorithm gets its own block so the
+        // UI can read its source back to start the layout Web Worker.
         $scripts = <<<JS
     <script>
         // Embedded coverage data
         {$embeddedData}
-
+    </script>
+    <script id="treemap-js">
         // Treemap algorithm
         {$treemapJs}
-
+    </script>
+    <script>
         // UI code
         {$uiJs}
     </script>